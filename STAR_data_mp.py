@@ -0,0 +1,106 @@
+import h5py
+import re
+import numpy as np
+import pandas as pd
+from tqdm import tqdm
+from multiprocessing import Pool
+import os
+
+def process_snapshot(args):
+    hdf5_filepath, key, MAX_STAR_KW_TYPE, STAR_ID_STRIDE, MASS_CONVERSION_FACTOR = args
+    star_records = []
+
+    with h5py.File(hdf5_filepath, 'r') as f_h5:
+        if key not in f_h5 or not isinstance(f_h5[key], h5py.Group):
+            return star_records
+
+        data = f_h5[key]
+
+        if 't' not in data or 'kw' not in data:
+            return star_records
+
+        time = data['t'][()]
+        kw_types = data['kw'][()]
+        ids = data['id'][()]
+        # Keep every STAR_ID_STRIDE-th star by ID so the same subset is tracked through all snapshots
+        star_mask = (kw_types <= MAX_STAR_KW_TYPE) & (ids % STAR_ID_STRIDE == 0)
+        num_stars = np.sum(star_mask)
+
+        if num_stars > 0:
+            masses = data['m'][()]
+            vxs = data['vx'][()]
+            vys = data['vy'][()]
+            vzs = data['vz'][()]
+            xs = data['x'][()]
+            ys = data['y'][()]
+            zs = data['z'][()]
+
+            star_ids = ids[star_mask]
+            star_masses = masses[star_mask] * MASS_CONVERSION_FACTOR
+            star_vxs = vxs[star_mask]
+            star_vys = vys[star_mask]
+            star_vzs = vzs[star_mask]
+            star_xs = xs[star_mask]
+            star_ys = ys[star_mask]
+            star_zs = zs[star_mask]
+
+            for i in range(num_stars):
+                record = {
+                    'time_myr': time,
+                    'star_id': star_ids[i],
+                    'mass_msun': star_masses[i],
+                    'vx': star_vxs[i],
+                    'vy': star_vys[i],
+                    'vz': star_vzs[i],
+                    'x': star_xs[i],
+                    'y': star_ys[i],
+                    'z': star_zs[i],
+                }
+                star_records.append(record)
+
+    return star_records
+
+if __name__ == "__main__":
+
+    hdf5_filepath = '/Volumes/Kingcess/NBODY6/snapdata.hdf5'
+    MAX_STAR_KW_TYPE = 12
+    STAR_ID_STRIDE = 1
+    MASS_CONVERSION_FACTOR = 127918.2
+    output_csv_filename = 'stars_history.csv'
+
+    try:
+        with h5py.File(hdf5_filepath, 'r') as f_h5:
+            snap_keys = list(f_h5.keys())
+    except IOError:
+        print(f"Error: Cannot open HDF5 file at {hdf5_filepath}")
+        exit()
+
+    def get_snap_number(key):
+        match = re.match(r'snap_(\d+)', key)
+        return int(match.group(1)) if match else -1
+
+    sorted_snap_keys = sorted([key for key in snap_keys if key.startswith('snap_')], key=get_snap_number)
+
+    if not sorted_snap_keys:
+        print("No snapshot data found in the HDF5 file.")
+        exit()
+
+    print(f"--- Reading {len(sorted_snap_keys)} data using multiprocessing ---")
+
+    args_list = [(hdf5_filepath, key, MAX_STAR_KW_TYPE, STAR_ID_STRIDE, MASS_CONVERSION_FACTOR) for key in sorted_snap_keys]
+
+    num_processes = max(1, os.cpu_count() - 2)
+    print(f"Using {num_processes} processes...")
+
+    with Pool(processes=num_processes) as pool:
+        results_list = list(tqdm(pool.imap(process_snapshot, args_list), total=len(sorted_snap_keys)))
+
+    all_star_records = [record for sublist in results_list if sublist for record in sublist]
+    print(f"Total star records found: {len(all_star_records)}")
+
+    if all_star_records:
+        df = pd.DataFrame(all_star_records)
+        df.to_csv(output_csv_filename, index=False)
+        print(f"Successfully saved data to {output_csv_filename}")
+    else:
+        print("No star records found to save.")
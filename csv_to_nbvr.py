@@ -0,0 +1,91 @@
+import argparse
+import csv
+import struct
+import sys
+from array import array
+from collections import defaultdict
+
+# Packs bh_history.csv / ns_history.csv / stars_history.csv into the NBVR binary read by history.worker.js.
+#
+# Layout (little-endian):
+#   header   char[4] 'NBVR', uint32 version, uint32 snapshots S, uint32 rows N, uint32 kind (0 = BH, 1 = NS, 2 = star), uint32 reserved
+#   float64[S]    snapshot times (Myr)
+#   uint32[S+1]   row offset of each snapshot
+#   uint32[N]     particle ids, sorted within each snapshot
+#   float32[N]    masses (Msun)
+#   float32[3N]   positions x,y,z
+#   float32[3N]   velocities vx,vy,vz
+
+MAGIC = b'NBVR'
+VERSION = 1
+KINDS = {'bh_id': 0, 'ns_id': 1, 'star_id': 2}
+COLUMNS = ['time_myr', 'mass_msun', 'x', 'y', 'z', 'vx', 'vy', 'vz']
+
+
+def read_history(csv_path):
+    snapshots = defaultdict(list)
+    with open(csv_path, newline='') as f:
+        reader = csv.DictReader(f)
+        id_key = next((k for k in KINDS if k in reader.fieldnames), None)
+        if id_key is None:
+            sys.exit(f"{csv_path}: no bh_id, ns_id or star_id column")
+        missing = [c for c in COLUMNS if c not in reader.fieldnames]
+        if missing:
+            sys.exit(f"{csv_path}: missing column(s) {', '.join(missing)}")
+
+        skipped = 0
+        for row in reader:
+            try:
+                time = float(row['time_myr'])
+                pid = int(float(row[id_key]))
+                values = [float(row[c]) for c in COLUMNS[1:]]
+            except (TypeError, ValueError):
+                skipped += 1
+                continue
+            snapshots[time].append((pid, values))
+
+    if skipped:
+        print(f"Skipped {skipped} unparsable rows")
+    return id_key, snapshots
+
+
+def write_nbvr(out_path, id_key, snapshots):
+    times = array('d')
+    offsets = array('I', [0])
+    ids, mass, pos, vel = array('I'), array('f'), array('f'), array('f')
+
+    for time in sorted(snapshots):
+        times.append(time)
+        for pid, (m, x, y, z, vx, vy, vz) in sorted(snapshots[time], key=lambda r: r[0]):
+            ids.append(pid)
+            mass.append(m)
+            pos.extend((x, y, z))
+            vel.extend((vx, vy, vz))
+        offsets.append(len(ids))
+
+    body = [times, offsets, ids, mass, pos, vel]
+    if sys.byteorder == 'big':
+        for a in body:
+            a.byteswap()
+
+    with open(out_path, 'wb') as f:
+        f.write(MAGIC + struct.pack('<5I', VERSION, len(times), len(ids), KINDS[id_key], 0))
+        for a in body:
+            a.tofile(f)
+
+    return len(times), len(ids)
+
+
+if __name__ == "__main__":
+
+    parser = argparse.ArgumentParser(description='Convert a BH/NS history CSV to the NBVR binary format.')
+    parser.add_argument('input_csv', help='bh_history.csv, ns_history.csv or stars_history.csv')
+    parser.add_argument('output', nargs='?', help='output file (default: input name with .nbvr)')
+    args = parser.parse_args()
+
+    output = args.output or args.input_csv.rsplit('.', 1)[0] + '.nbvr'
+
+    id_key, snapshots = read_history(args.input_csv)
+    n_snap, n_rows = write_nbvr(output, id_key, snapshots)
+
+    print(f"Successfully saved {n_rows} rows in {n_snap} snapshots to {output}")
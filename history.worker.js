@@ -0,0 +1,149 @@
+// Parses bh_history/ns_history/stars_history files off the main thread into packed typed arrays.
+// Accepts the CSVs written by BH_data_mp.py / NS_data_mp.py / STAR_data_mp.py or the NBVR binary written by csv_to_nbvr.py.
+
+const MAGIC = 'NBVR', VERSION = 1, HEADER_BYTES = 24;
+const COLUMNS = ['time_myr', 'mass_msun', 'x', 'y', 'z', 'vx', 'vy', 'vz'];
+const ID_KEYS = ['bh_id', 'ns_id', 'star_id'];
+// Optional per-row dimensionless spin; blank cells stay NaN so the viewer falls back to its default
+const SPIN_COLUMN = 'spin';
+const MAX_ERRORS = 10;
+const PROGRESS_STEP = 1 << 20;
+
+self.onmessage = async ({ data: { source, name, idKey } }) => {
+    try {
+        const { stream, total } = await openSource(source, name);
+        const reader = stream.getReader();
+        let loaded = 0, reported = 0, parser = null;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            if (!parser) parser = isBinary(value) ? createBinaryParser(total) : createCsvParser(name, idKey);
+            parser.push(value);
+            loaded += value.length;
+            if (loaded - reported >= PROGRESS_STEP) { reported = loaded; self.postMessage({ type: 'progress', loaded, total }); }
+        }
+        if (!parser) throw new Error(`${name}: file is empty`);
+        const result = parser.finish(name, idKey);
+        self.postMessage({ type: 'progress', loaded, total: total || loaded });
+        const s = result.store, buffers = new Set([s.times, s.offsets, s.ids, s.mass, s.pos, s.vel, s.spin].filter(Boolean).map(a => a.buffer));
+        self.postMessage({ type: 'done', ...result }, [...buffers]);
+    } catch (e) {
+        self.postMessage({ type: 'error', message: e.message, notFound: !!e.notFound });
+    }
+};
+
+async function openSource(source, name) {
+    if (typeof source !== 'string') return { stream: source.stream(), total: source.size };
+    const res = await fetch(source);
+    if (!res.ok) throw Object.assign(new Error(`${name}: ${res.status} ${res.statusText}`), { notFound: res.status === 404 });
+    return { stream: res.body, total: parseInt(res.headers.get('content-length')) || 0 };
+}
+
+function isBinary(chunk) {
+    return chunk.length >= 4 && String.fromCharCode(...chunk.subarray(0, 4)) === MAGIC;
+}
+
+function createCsvParser(name, idKey) {
+    const decoder = new TextDecoder();
+    let rest = '', headers = null, cols = null, spinCol = -1, line = 1, cap = 1 << 16, n = 0;
+    let times = new Float64Array(cap), ids = new Float64Array(cap), vals = new Float32Array(cap * 7), spins = null;
+    const errors = [];
+    let errorCount = 0;
+    const grow = () => {
+        cap *= 2;
+        const t = new Float64Array(cap), i = new Float64Array(cap), v = new Float32Array(cap * 7);
+        t.set(times); i.set(ids); v.set(vals);
+        times = t; ids = i; vals = v;
+        if (spins) { const sp = new Float32Array(cap); sp.set(spins); spins = sp; }
+    };
+    const parseLine = text => {
+        line++;
+        if (!text.trim()) return;
+        const f = text.split(',');
+        if (!headers) {
+            headers = f.map(h => h.trim());
+            const missing = [idKey, ...COLUMNS].filter(c => !headers.includes(c));
+            if (missing.length) throw new Error(`${name}: missing column(s) ${missing.join(', ')}`);
+            cols = [idKey, ...COLUMNS].map(c => headers.indexOf(c));
+            spinCol = headers.indexOf(SPIN_COLUMN);
+            if (spinCol >= 0) spins = new Float32Array(cap);
+            return;
+        }
+        const id = parseInt(f[cols[0]], 10), row = cols.slice(1).map(c => parseFloat(f[c]));
+        const bad = [idKey, ...COLUMNS].filter((c, i) => isNaN(i ? row[i - 1] : id));
+        if (bad.length) {
+            if (errorCount++ < MAX_ERRORS) errors.push(`${name}:${line - 1}: invalid ${bad.join(', ')}`);
+            return;
+        }
+        if (n === cap) grow();
+        times[n] = row[0]; ids[n] = id; vals.set(row.slice(1), n * 7);
+        if (spins) spins[n] = parseFloat(f[spinCol]);
+        n++;
+    };
+    return {
+        push(chunk) {
+            const lines = (rest + decoder.decode(chunk, { stream: true })).split(/\r?\n/);
+            rest = lines.pop();
+            lines.forEach(parseLine);
+        },
+        finish() {
+            parseLine(rest + decoder.decode());
+            if (!headers) throw new Error(`${name}: missing header row`);
+            return { store: pack(idKey, n, times, ids, vals, spins), errors, errorCount, rows: n };
+        }
+    };
+}
+
+// Sorts rows by snapshot time, then by id so lookups within a snapshot can binary-search
+function pack(idKey, n, times, ids, vals, spins) {
+    const order = new Uint32Array(n).map((_, i) => i).sort((a, b) => times[a] - times[b] || ids[a] - ids[b]);
+    const snapTimes = [], offsets = [];
+    const out = { idKey, ids: new Uint32Array(n), mass: new Float32Array(n), pos: new Float32Array(n * 3), vel: new Float32Array(n * 3) };
+    if (spins) out.spin = new Float32Array(n);
+    order.forEach((r, k) => {
+        if (k === 0 || times[r] !== times[order[k - 1]]) { snapTimes.push(times[r]); offsets.push(k); }
+        out.ids[k] = ids[r];
+        out.mass[k] = vals[r * 7];
+        out.pos.set(vals.subarray(r * 7 + 1, r * 7 + 4), k * 3);
+        out.vel.set(vals.subarray(r * 7 + 4, r * 7 + 7), k * 3);
+        if (spins) out.spin[k] = spins[r];
+    });
+    offsets.push(n);
+    return { ...out, times: Float64Array.from(snapTimes), offsets: Uint32Array.from(offsets) };
+}
+
+function createBinaryParser(total) {
+    let buf = new Uint8Array(total || PROGRESS_STEP), len = 0;
+    return {
+        push(chunk) {
+            if (len + chunk.length > buf.length) { const b = new Uint8Array(Math.max(buf.length * 2, len + chunk.length)); b.set(buf.subarray(0, len)); buf = b; }
+            buf.set(chunk, len); len += chunk.length;
+        },
+        finish(name, idKey) {
+            const store = unpackBinary(buf.buffer.slice(0, len), name);
+            if (idKey && store.idKey !== idKey) throw new Error(`${name}: holds ${store.idKey} rows, expected ${idKey}`);
+            return { store, errors: [], errorCount: 0, rows: store.ids.length };
+        }
+    };
+}
+
+function unpackBinary(buffer, name) {
+    const dv = new DataView(buffer);
+    if (buffer.byteLength < HEADER_BYTES) throw new Error(`${name}: truncated NBVR header`);
+    const version = dv.getUint32(4, true), S = dv.getUint32(8, true), N = dv.getUint32(12, true), kind = dv.getUint32(16, true);
+    if (version !== VERSION) throw new Error(`${name}: unsupported NBVR version ${version}`);
+    if (!ID_KEYS[kind]) throw new Error(`${name}: unknown NBVR particle kind ${kind}`);
+    const expected = HEADER_BYTES + 8 * S + 4 * (S + 1) + 32 * N;
+    if (buffer.byteLength !== expected) throw new Error(`${name}: expected ${expected} bytes, got ${buffer.byteLength}`);
+    let o = HEADER_BYTES;
+    const take = (Type, count) => { const a = new Type(buffer, o, count); o += a.byteLength; return a; };
+    return {
+        idKey: ID_KEYS[kind],
+        times: take(Float64Array, S),
+        offsets: take(Uint32Array, S + 1),
+        ids: take(Uint32Array, N),
+        mass: take(Float32Array, N),
+        pos: take(Float32Array, 3 * N),
+        vel: take(Float32Array, 3 * N)
+    };
+}
@@ -1,29 +1,77 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { VRButton } from 'three/addons/webxr/VRButton.js';
+import { Output, WebMOutputFormat, BufferTarget, EncodedVideoPacketSource, EncodedPacket } from 'mediabunny';
+import { XR_RAY_LENGTH, bindXrController, resetXrController, controllerRay, flyRig, updateGrab } from './xr-input.js';
 
 const G = 4.4985e-3;
 const SIMULATION_BOUNDS = 40;
-const PSEUDO_SPIN_PARAMETER_A = 0.6;
+const DEFAULT_SPIN_PARAMETER_A = 0.6, MAX_SPIN = 0.998;
 const SPIN_VECTOR_SCALE = 0.01;
 
-let scene, camera, renderer, controls, cameraRig, clock, cubeFrame;
-const bhObjects = new Map(), nsObjects = new Map(), ellipseObjects = new Map();
-let timeData = new Map(), nsData = new Map(), interactionEvents = [], timeKeys = [], eventVectors = [];
+let scene, camera, renderer, controls, cameraRig, clusterRoot, clock, cubeFrame, bhLayer, nsLayer, starLayer;
+let bhObjects, nsObjects, ellipseObjects, escapeTrackCache, mergerCache, trailObjects, comCache, orbitSeriesCache;
+let timeData, nsData, starData, interactionEvents, eventTimes, timeKeys, eventVectors;
+// Every loaded run keeps its own copy of the per-run state above; the module-level variables hold whichever run is bound
+let runs = [], activeRun = null, boundRun = null, linkedCameras = true, hoverRun = null;
 
-let isPlaying = false, frameCount = 0, framesPerUpdate = 11, isCameraTracking = false, particleSizeMultiplier = 1.0, useComFrame = false;
-let velScaleMultiplier = 1.0, spinScaleMultiplier = 1.0, showSpinVectors = false;
+let isPlaying = false, playbackSpeed = 50, playbackTime = 0, interpolationMode = 'hermite', isCameraTracking = false, particleSizeMultiplier = 1.0, useComFrame = false;
+let velScaleMultiplier = 1.0, spinScaleMultiplier = 1.0, showSpinVectors = false, defaultSpin = DEFAULT_SPIN_PARAMETER_A, spinOverrides = new Map(), gwWaveform = null;
+let showTrails = false, trailLength = 20, trailMode = 'all';
 let cameraTargetGoal = new THREE.Vector3(), mouse = new THREE.Vector2(), raycaster = new THREE.Raycaster();
-let highlightedBhId = null, massFilterMin = null, massFilterMax = null, selectedEvent = null;
+let orbitPair = null, orbitPickIds = null, pointerDownAt = null;
+let binaryCatalog = null, binaryScanToken = 0, binarySort = ['first', 1], diagnostics = null, eventSort = ['time', 1];
+let exporting = false, exportToken = 0;
+let tourKeyframes = [], tour = null;
+let xrControllers = [], xrPanel = null, xrLabel = null, xrGrab = null, xrRaycaster = new THREE.Raycaster();
+let eventList = [], eventMarkerX = [], eventPlayheadX = null, eventScrolledTo = null;
+let currentIdx = 0, currentFrac = 0, highlightedBhId = null, massFilterMin = null, massFilterMax = null, selectedEvent = null, inspected = null;
 
 const DEFAULT_COLOR = new THREE.Color(0x111111), BINARY_PARTICLE_COLOR = new THREE.Color(0xff00ff), INTERLOPER_PARTICLE_COLOR = new THREE.Color(0xff3131);
 const PRE_EXCHANGE_ORBIT_COLOR = new THREE.Color(0x39ff14), POST_EVENT_COLOR = new THREE.Color(0x00ffff);
+const ESCAPER_PARTICLE_COLOR = new THREE.Color(0xffd700);
 
 const VECTOR_COLOR = 0x0000ff;
 const SPIN_VECTOR_COLOR = 0xff0000;
 const REMNANT_VEL_COLOR = 0x00ffff;
 const MERGE_SPIN_COLOR = 0xff8c00;
 const COM_VELOCITY_COLOR = 0x0000ff;
+const ESCAPE_TRACK_COLOR = 0xffd700;
+const ESCAPE_TRACK_EXTENT = 1.5;
+const EVENT_COLUMNS = ['time_list', 'event_list', 'id1_list', 'id2_list'];
+const DEFAULT_DATASET = { bh: 'bh_history.csv', ns: 'ns_history.csv', stars: 'stars_history.csv', events: 'bh_events.csv' };
+const HISTORY_LAYERS = { bh: 'bh_id', ns: 'ns_id', stars: 'star_id' };
+const MAX_REPORTED_ERRORS = 10;
+const ROW_CACHE_SIZE = 4;
+const NS_COLOR = new THREE.Color(0xffa500), STAR_COLOR = new THREE.Color(0xfff4e0);
+const STAR_OPACITY = 0.6, STAR_POINT_SIZE = 0.15, STAR_PICK_THRESHOLD = 0.1, INSTANCE_CAPACITY_MIN = 256;
+const CLICK_TOLERANCE_PX = 4, ORBIT_PANEL_COLOR = 0xffffff, PC_IN_AU = 206264.8, ENERGY_UNIT_ERG = 1.9011e43;
+const ORBIT_SPARKLINES = [['a', 'a', true], ['e', 'e', false], ['period', 'P', true], ['bindingEnergy', 'E_b', false], ['inclination', 'i', false], ['pericentre', 'r_p', true]];
+const HARD_BINARY_COLOR = 0xff3131, SOFT_BINARY_COLOR = 0x4da6ff, DISPERSION_NEIGHBOURS = 10, BINARY_SCAN_BATCH = 10, BINARY_CAMERA_DISTANCE = 5;
+const EVENT_TYPE_COLORS = { EXCHANGE: '#ff00ff', MERGE: '#ff8c00', ESCAPE: '#ffd700' }, EVENT_PICK_PX = 4;
+const EVENT_TABLE_COLUMNS = [['type', 'Type'], ['time', 'Time'], ['ids', 'IDs'], ['m1', 'm1'], ['m2', 'm2'], ['period', 'P']];
+const BINARY_TABLE_COLUMNS = [['pair', 'Pair'], ['type', 'Type'], ['first', 'First'], ['span', 'Span'], ['a', 'a [pc]'], ['e', 'e'], ['x', 'Eb/mσ²']];
+const LAGRANGIAN_FRACTIONS = [10, 50, 90], CORE_NEIGHBOURS = 6, SEGREGATION_BINS = 8, DIAGNOSTIC_BATCH = 10;
+const DIAGNOSTIC_CHARTS = [
+    ['lagrangian', 'Lagrangian radii 10/50/90% [pc]', [['r10', '#39ff14'], ['r50', '#ffd700'], ['r90', '#ff3131']], true],
+    ['core', 'Core radius [pc]', [['rc', '#00ffff']], true],
+    ['counts', 'N(BH) / N(NS)', [['nBh', '#cccccc'], ['nNs', '#ffa500']], false],
+    ['kinetic', 'Kinetic energy [erg]', [['ke', '#ff00ff']], true]
+];
+const INSPECTOR_CHARTS = [['mass', 'Mass [Msun]', '#cccccc'], ['r', 'r from CoM [pc]', '#39ff14'], ['speed', 'Speed [pc/Myr]', '#00ffff']];
+const VIEW_STATE_INPUTS = ['speed-slider', 'bh-size-slider', 'vel-scale-slider', 'spin-scale-slider', 'bg-brightness-slider', 'highlight-color-input', 'mass-range-color-input', 'mass-min-input', 'mass-max-input', 'highlight-bh-input', 'trail-length-slider', 'trail-mode-select', 'interp-mode-select'];
+const VIEW_STATE_CHECKBOXES = ['ns-visible-checkbox', 'star-visible-checkbox', 'com-frame-checkbox', 'camera-track-checkbox', 'spin-visible-checkbox', 'trail-visible-checkbox'];
+const BOOKMARK_STORAGE_KEY = 'nbody-vr-bookmarks';
+const TOUR_DEFAULT_SECONDS = 4, TOUR_XR_TARGET_DISTANCE = 5;
+const XR_PANEL_SIZE = [0.6, 0.3], XR_PANEL_CANVAS = [512, 256], XR_SCRUB_RECT = [16, 70, 480, 36];
+const XR_PANEL_BUTTONS = [['play', 'Play'], ['prev', '◀ Evt'], ['next', 'Evt ▶'], ['ns', 'NS'], ['spin', 'Spin'], ['reset', 'Reset']].map(([name, label], i) => [name, label, 20 + i * 80, 140, 72, 56]);
+const XR_LABEL_CANVAS = [320, 128], XR_LABEL_SCALE = 0.08;
+const PC_PER_MYR_IN_KMS = 0.9778, GM_SUN_OVER_C3 = 4.925491e-6;
+const GW_F_LOW = 20, GW_MAX_SECONDS = 10, GW_SAMPLE_RATE = 44100, GW_PLOT_POINTS = 2000, GW_AUDIO_GAIN = 0.5;
+const EXPORT_VIDEO_BITRATE = 20e6, EXPORT_DOWNLOAD_DELAY_MS = 100, EXPORT_KEYFRAME_SECONDS = 2, EXPORT_ENCODE_QUEUE = 4;
+const EXPORT_WEBM_CODECS = [['vp09.00.10.08', 'vp9'], ['vp8', 'vp8']];
+const TRAIL_DEFAULT_COLOR = new THREE.Color(0x888888), NS_TRAIL_COLOR = new THREE.Color(0xffa500);
+const TRAIL_MATERIAL = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, depthWrite: false });
 
 let highlightColor = new THREE.Color(0xffff33), massRangeColor = new THREE.Color(0x39ff14);
 
@@ -31,7 +79,7 @@ function cleanup(obj) {
     if (!obj) return;
     if (obj.geometry) obj.geometry.dispose();
     if (obj.material) Array.isArray(obj.material) ? obj.material.forEach(m => m.dispose()) : obj.material.dispose();
-    scene.remove(obj);
+    obj.removeFromParent();
 }
 
 function init() {
@@ -41,7 +89,7 @@ function init() {
     camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
     camera.position.set(SIMULATION_BOUNDS * 0.7, SIMULATION_BOUNDS * 0.7, SIMULATION_BOUNDS * 0.7);
     clock = new THREE.Clock();
-    renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.xr.enabled = true;
     document.body.appendChild(renderer.domElement);
@@ -57,82 +105,627 @@ function init() {
     controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
     window.addEventListener('resize', () => {
-        camera.aspect = window.innerWidth / window.innerHeight;
-        camera.updateProjectionMatrix();
+        updateCameraAspect();
         renderer.setSize(window.innerWidth, window.innerHeight);
+        runs.forEach(r => { r.starLayer.points.material.uniforms.pointScale.value = window.innerHeight / 2; });
     });
     document.addEventListener('mousemove', e => {
-        mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-        mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
+        const v = pointerView(e.clientX, e.clientY);
+        mouse.copy(v.ndc); hoverRun = v.run;
     });
+    renderer.domElement.addEventListener('pointerdown', e => {
+        pointerDownAt = [e.clientX, e.clientY];
+        const v = pointerView(e.clientX, e.clientY);
+        if (v.run !== activeRun) setActiveRun(v.run);
+    });
+    renderer.domElement.addEventListener('pointerup', e => {
+        // Ignore the end of an OrbitControls drag
+        if (!pointerDownAt || Math.hypot(e.clientX - pointerDownAt[0], e.clientY - pointerDownAt[1]) > CLICK_TOLERANCE_PX) return;
+        onParticleClick(particleAtEvent(e));
+    });
+    raycaster.params.Points.threshold = xrRaycaster.params.Points.threshold = STAR_PICK_THRESHOLD;
+    hoverRun = activeRun = createRun('');
     setupUI();
-    addCubeFrame();
+    setupXR();
     renderer.setAnimationLoop(animate);
 }
 
+// Every module variable that belongs to the bound run, listed once; stashRun and bindRun copy exactly these
+const boundState = {
+    get clusterRoot() { return clusterRoot; }, set clusterRoot(v) { clusterRoot = v; },
+    get cubeFrame() { return cubeFrame; }, set cubeFrame(v) { cubeFrame = v; },
+    get bhLayer() { return bhLayer; }, set bhLayer(v) { bhLayer = v; },
+    get nsLayer() { return nsLayer; }, set nsLayer(v) { nsLayer = v; },
+    get starLayer() { return starLayer; }, set starLayer(v) { starLayer = v; },
+    get bhObjects() { return bhObjects; }, set bhObjects(v) { bhObjects = v; },
+    get nsObjects() { return nsObjects; }, set nsObjects(v) { nsObjects = v; },
+    get ellipseObjects() { return ellipseObjects; }, set ellipseObjects(v) { ellipseObjects = v; },
+    get escapeTrackCache() { return escapeTrackCache; }, set escapeTrackCache(v) { escapeTrackCache = v; },
+    get mergerCache() { return mergerCache; }, set mergerCache(v) { mergerCache = v; },
+    get trailObjects() { return trailObjects; }, set trailObjects(v) { trailObjects = v; },
+    get comCache() { return comCache; }, set comCache(v) { comCache = v; },
+    get orbitSeriesCache() { return orbitSeriesCache; }, set orbitSeriesCache(v) { orbitSeriesCache = v; },
+    get timeData() { return timeData; }, set timeData(v) { timeData = v; },
+    get nsData() { return nsData; }, set nsData(v) { nsData = v; },
+    get starData() { return starData; }, set starData(v) { starData = v; },
+    get interactionEvents() { return interactionEvents; }, set interactionEvents(v) { interactionEvents = v; },
+    get eventTimes() { return eventTimes; }, set eventTimes(v) { eventTimes = v; },
+    get timeKeys() { return timeKeys; }, set timeKeys(v) { timeKeys = v; },
+    get eventVectors() { return eventVectors; }, set eventVectors(v) { eventVectors = v; },
+    get currentIdx() { return currentIdx; }, set currentIdx(v) { currentIdx = v; },
+    get currentFrac() { return currentFrac; }, set currentFrac(v) { currentFrac = v; },
+    get selectedEvent() { return selectedEvent; }, set selectedEvent(v) { selectedEvent = v; },
+    get orbitPair() { return orbitPair; }, set orbitPair(v) { orbitPair = v; },
+    get binaryCatalog() { return binaryCatalog; }, set binaryCatalog(v) { binaryCatalog = v; },
+    get binaryScanToken() { return binaryScanToken; }, set binaryScanToken(v) { binaryScanToken = v; },
+    get diagnostics() { return diagnostics; }, set diagnostics(v) { diagnostics = v; },
+    get inspected() { return inspected; }, set inspected(v) { inspected = v; }
+};
+const RUN_STATE_KEYS = Object.keys(boundState);
+
+// A run's scene objects and data; the first one created stays bound, later ones are built and then stashed
+function createRun(name) {
+    const run = { name, pose: null, dirty: false, syncedTime: null, label: null }, prev = boundRun;
+    if (prev) stashRun(prev);
+    boundRun = run;
+    // Everything drawn from the data hangs off one group so VR grip gestures can rotate and scale the whole cluster
+    clusterRoot = new THREE.Group();
+    scene.add(clusterRoot);
+    bhObjects = new Map(); nsObjects = new Map(); ellipseObjects = new Map(); escapeTrackCache = new Map(); mergerCache = new Map(); trailObjects = new Map(); comCache = new Map(); orbitSeriesCache = new Map();
+    timeData = indexStore(emptyStore('bh_id')); nsData = indexStore(emptyStore('ns_id')); starData = indexStore(emptyStore('star_id'));
+    interactionEvents = []; eventTimes = {}; timeKeys = []; eventVectors = [];
+    currentIdx = 0; currentFrac = 0; selectedEvent = null; orbitPair = null; binaryCatalog = null; binaryScanToken = 0; diagnostics = null; inspected = null;
+    bhLayer = createInstancedLayer(bhObjects, new THREE.SphereGeometry(0.01, 16, 16), new THREE.MeshPhysicalMaterial({ metalness: 0.9, roughness: 0.1, clearcoat: 1.0, transparent: true }));
+    nsLayer = createInstancedLayer(nsObjects, new THREE.SphereGeometry(0.01, 16, 16), new THREE.MeshPhysicalMaterial({ emissive: 0xff4500, emissiveIntensity: 2.0, transparent: true }));
+    starLayer = createStarLayer();
+    addCubeFrame();
+    stashRun(run);
+    runs.push(run);
+    if (prev) bindRun(prev);
+    return run;
+}
+
+function stashRun(run) {
+    RUN_STATE_KEYS.forEach(k => { run[k] = boundState[k]; });
+}
+
+function bindRun(run) {
+    if (run === boundRun) return;
+    if (boundRun) stashRun(boundRun);
+    RUN_STATE_KEYS.forEach(k => { boundState[k] = run[k]; });
+    boundRun = run;
+}
+
+function withRun(run, job) {
+    const prev = boundRun;
+    bindRun(run);
+    try { return job(); } finally { bindRun(prev); }
+}
+
+function cameraPose() {
+    return { position: camera.position.clone(), quaternion: camera.quaternion.clone(), target: controls.target.clone() };
+}
+
+function applyCameraPose(pose) {
+    camera.position.copy(pose.position); camera.quaternion.copy(pose.quaternion); controls.target.copy(pose.target);
+    camera.updateMatrixWorld();
+}
+
+// Makes `run` the one the controls, panels and picking act on; with unlinked cameras each run also keeps its own view
+function setActiveRun(run) {
+    if (activeRun && activeRun !== run && !linkedCameras) activeRun.pose = cameraPose();
+    activeRun = run;
+    bindRun(run);
+    if (!linkedCameras && run.pose) { applyCameraPose(run.pose); cameraTargetGoal.copy(run.pose.target); }
+    renderEventBrowser();
+    document.getElementById('time-slider').max = Math.max(0, timeKeys.length - 1);
+    document.getElementById('orbit-id1-input').value = orbitPair ? orbitPair[0] : '';
+    document.getElementById('orbit-id2-input').value = orbitPair ? orbitPair[1] : '';
+    document.getElementById('binary-status').textContent = binaryCatalog ? binaryCatalog.summary : '';
+    renderBinaryTable();
+    renderInspectorEvents();
+    refreshRunList();
+    renderAtTime(playbackTime, true);
+}
+
+function removeRun(run) {
+    const i = runs.indexOf(run);
+    if (runs.length < 2 || i < 0) return;
+    runs.splice(i, 1);
+    if (run === activeRun) { activeRun = null; setActiveRun(runs[Math.min(i, runs.length - 1)]); }
+    run.clusterRoot.traverse(o => { if (o.geometry) o.geometry.dispose(); if (o.material && o.material !== TRAIL_MATERIAL) o.material.dispose(); });
+    scene.remove(run.clusterRoot);
+    if (run.label) run.label.remove();
+    refreshRunList();
+    updateCameraAspect();
+}
+
+function refreshRunList() {
+    const s = document.getElementById('run-select');
+    s.innerHTML = '';
+    runs.forEach((r, i) => {
+        const o = document.createElement('option'); o.value = i;
+        o.textContent = r.name || `Run ${i + 1}`;
+        s.appendChild(o);
+    });
+    s.value = runs.indexOf(activeRun);
+    document.getElementById('run-remove-btn').disabled = runs.length < 2;
+}
+
+function viewCount() {
+    return renderer.xr.isPresenting ? 1 : runs.length;
+}
+
+// Runs sit side by side, so each viewport gets an equal slice of the window width
+function updateCameraAspect() {
+    camera.aspect = window.innerWidth / viewCount() / window.innerHeight;
+    camera.updateProjectionMatrix();
+}
+
+// The run whose viewport is under a window position, and that position in the viewport's NDC
+function pointerView(x, y) {
+    const n = viewCount(), w = window.innerWidth / n, i = Math.min(n - 1, Math.max(0, Math.floor(x / w)));
+    return { run: n > 1 ? runs[i] : activeRun, ndc: new THREE.Vector2(((x - i * w) / w) * 2 - 1, -(y / window.innerHeight) * 2 + 1) };
+}
+
+// Keeps the other runs on the shared clock: each shows its own snapshot nearest the same time_myr
+function syncRuns() {
+    const t = playbackTime;
+    runs.forEach(r => {
+        if (r === activeRun || (r.syncedTime === t && !r.dirty)) return;
+        withRun(r, () => renderAtTime(t, r.dirty));
+        r.dirty = false; r.syncedTime = t;
+    });
+    playbackTime = t;
+}
+
+// Draws each run into its own slice of the canvas; only that run's cluster is visible while it renders
+function renderViews(width, height) {
+    if (viewCount() < 2) {
+        runs.forEach(r => { r.clusterRoot.visible = r === activeRun; });
+        renderer.render(scene, camera);
+        return;
+    }
+    const w = width / runs.length, own = cameraPose();
+    renderer.setScissorTest(true);
+    runs.forEach((r, i) => {
+        runs.forEach(o => { o.clusterRoot.visible = o === r; });
+        if (!linkedCameras && r !== activeRun && r.pose) applyCameraPose(r.pose);
+        renderer.setViewport(i * w, 0, w, height); renderer.setScissor(i * w, 0, w, height);
+        renderer.render(scene, camera);
+        if (!linkedCameras && r !== activeRun && r.pose) applyCameraPose(own);
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, width, height);
+    runs.forEach(r => { r.clusterRoot.visible = true; });
+}
+
+// Number of entries in the ascending array `times` that are <= t
+function countUpTo(times, t) {
+    let lo = 0, hi = times.length;
+    while (lo < hi) {
+        const m = (lo + hi) >> 1;
+        if (times[m] <= t) lo = m + 1; else hi = m;
+    }
+    return lo;
+}
+
+// Summary of run `r` at its current snapshot; cached until the snapshot or the loaded data changes
+function runStats(r) {
+    const bound = r === boundRun, idx = bound ? currentIdx : r.currentIdx, keys = bound ? timeKeys : r.timeKeys;
+    if (r.stats && r.stats.idx === idx && r.stats.keys === keys) return r.stats.text;
+    const text = withRun(r, () => {
+        const t = timeKeys[currentIdx], i = timeData.timeIndex.get(t), j = nsData.timeIndex.get(t);
+        let mass = 0;
+        if (i !== undefined) for (let k = timeData.offsets[i]; k < timeData.offsets[i + 1]; k++) mass += timeData.mass[k];
+        const count = type => countUpTo(eventTimes[type] || [], t);
+        return [
+            `${t === undefined ? '—' : t.toFixed(1)} Myr`,
+            `BH ${i === undefined ? 0 : timeData.offsets[i + 1] - timeData.offsets[i]} (${mass.toFixed(0)} Msun), NS ${j === undefined ? 0 : nsData.offsets[j + 1] - nsData.offsets[j]}`,
+            `Merge ${count('MERGE')}, Exch ${count('EXCHANGE')}, Esc ${count('ESCAPE')}`
+        ].join('\n');
+    });
+    r.stats = { idx, keys, text };
+    return text;
+}
+
+// Summary over each viewport; hidden while a single run is shown
+function updateRunLabels() {
+    const box = document.getElementById('run-labels'), split = viewCount() > 1;
+    box.style.display = split ? '' : 'none';
+    if (!split) return;
+    runs.forEach((r, i) => {
+        if (!r.label) { r.label = document.createElement('div'); r.label.className = 'run-label'; box.appendChild(r.label); }
+        const text = `${r.name || `Run ${i + 1}`}\n${runStats(r)}`;
+        if (r.label.textContent !== text) r.label.textContent = text;
+        r.label.style.left = `${(i + 0.5) * 100 / runs.length}%`;
+        r.label.classList.toggle('active', r === activeRun);
+    });
+}
+
 function addCubeFrame() {
     cubeFrame = new THREE.LineSegments(
         new THREE.EdgesGeometry(new THREE.BoxGeometry(SIMULATION_BOUNDS * 2, SIMULATION_BOUNDS * 2, SIMULATION_BOUNDS * 2)),
         new THREE.LineBasicMaterial({ color: 0x555555 })
     );
-    scene.add(cubeFrame);
-}
-
-async function loadHistoryCsv(file, targetMap) {
-    const res = await fetch(file);
-    const text = await res.text();
-    const rows = text.trim().split('\n');
-    const headers = rows.shift().split(',').map(h => h.trim());
-    rows.forEach(row => {
-        const vals = row.split(','), data = {};
-        headers.forEach((h, i) => {
-            const v = vals[i]?.trim();
-            data[h] = (h.includes('id') ? (v ? parseInt(v, 10) : null) : (v ? parseFloat(v) : null));
-        });
-        if (data.time_myr === null || isNaN(data.time_myr)) return;
-        if (!targetMap.has(data.time_myr)) targetMap.set(data.time_myr, []);
-        targetMap.get(data.time_myr).push(data);
+    clusterRoot.add(cubeFrame);
+}
+
+// Per-instance opacity isn't built into InstancedMesh, so feed it through an extra attribute
+function patchInstanceOpacity(material) {
+    material.onBeforeCompile = shader => {
+        shader.vertexShader = 'attribute float instanceOpacity;\nvarying float vInstanceOpacity;\n' + shader.vertexShader.replace('#include <begin_vertex>', '#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;');
+        shader.fragmentShader = 'varying float vInstanceOpacity;\n' + shader.fragmentShader.replace('#include <opaque_fragment>', 'diffuseColor.a *= vInstanceOpacity;\n#include <opaque_fragment>');
+    };
+    return material;
+}
+
+function createInstancedLayer(items, geometry, material) {
+    return { items, geometry, material: patchInstanceOpacity(material), mesh: null, order: [] };
+}
+
+function layerItem(layer, id) {
+    let it = layer.items.get(id);
+    if (!it) {
+        it = { id, position: new THREE.Vector3(), scale: 1, color: new THREE.Color(), opacity: 1, visible: true, userData: {} };
+        layer.items.set(id, it);
+    }
+    return it;
+}
+
+// Writes the items into the InstancedMesh, opaque ones first so dimmed instances never hide them
+function syncLayer(layer) {
+    const order = [...layer.items.values()].filter(it => it.visible && it.opacity > 0).sort((a, b) => b.opacity - a.opacity);
+    if (!layer.mesh || layer.mesh.instanceMatrix.count < order.length) {
+        if (layer.mesh) { clusterRoot.remove(layer.mesh); layer.mesh.dispose(); }
+        const cap = Math.max(INSTANCE_CAPACITY_MIN, 2 ** Math.ceil(Math.log2(order.length || 1)));
+        layer.mesh = new THREE.InstancedMesh(layer.geometry, layer.material, cap);
+        layer.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        layer.mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(cap * 3), 3).setUsage(THREE.DynamicDrawUsage);
+        layer.geometry.setAttribute('instanceOpacity', new THREE.InstancedBufferAttribute(new Float32Array(cap), 1).setUsage(THREE.DynamicDrawUsage));
+        layer.mesh.frustumCulled = false;
+        clusterRoot.add(layer.mesh);
+    }
+    const m = new THREE.Matrix4(), op = layer.geometry.getAttribute('instanceOpacity');
+    order.forEach((it, i) => {
+        layer.mesh.setMatrixAt(i, m.makeScale(it.scale, it.scale, it.scale).setPosition(it.position));
+        layer.mesh.setColorAt(i, it.color);
+        op.setX(i, it.opacity);
+    });
+    layer.mesh.count = order.length;
+    layer.mesh.instanceMatrix.needsUpdate = true; layer.mesh.instanceColor.needsUpdate = true; op.needsUpdate = true;
+    layer.mesh.boundingSphere = null;
+    layer.order = order;
+}
+
+function clearLayer(layer) {
+    layer.items.clear();
+    if (layer.mesh) layer.mesh.count = 0;
+    layer.order = [];
+}
+
+function createStarLayer() {
+    const material = new THREE.ShaderMaterial({
+        uniforms: { pointScale: { value: window.innerHeight / 2 } },
+        vertexShader: `attribute float size; attribute vec4 color; varying vec4 vColor;
+            void main() { vColor = color; vec4 mv = modelViewMatrix * vec4(position, 1.0); gl_PointSize = size * pointScale / -mv.z; gl_Position = projectionMatrix * mv; }`,
+        fragmentShader: `varying vec4 vColor;
+            void main() { vec2 c = gl_PointCoord - 0.5; if (dot(c, c) > 0.25) discard; gl_FragColor = vColor; }`,
+        transparent: true, depthWrite: false
+    });
+    const points = new THREE.Points(new THREE.BufferGeometry(), material);
+    points.frustumCulled = false;
+    clusterRoot.add(points);
+    return { points, ids: new Uint32Array(0), rows: new Int32Array(0) };
+}
+
+function updateStars(idx, frac, com) {
+    const g = starLayer.points.geometry, t0 = timeKeys[idx], i = starData.timeIndex.get(t0);
+    const visible = document.getElementById('star-visible-checkbox').checked && i !== undefined;
+    starLayer.points.visible = visible;
+    if (!visible) { g.setDrawRange(0, 0); return; }
+    const o0 = starData.offsets[i], n = starData.offsets[i + 1] - o0, t1 = timeKeys[idx + 1], h = t1 - t0;
+    if (!g.getAttribute('position') || g.getAttribute('position').count < n) {
+        g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(n * 3), 3).setUsage(THREE.DynamicDrawUsage));
+        g.setAttribute('color', new THREE.BufferAttribute(new Float32Array(n * 4), 4).setUsage(THREE.DynamicDrawUsage));
+        g.setAttribute('size', new THREE.BufferAttribute(new Float32Array(n), 1).setUsage(THREE.DynamicDrawUsage));
+        starLayer.ids = new Uint32Array(n); starLayer.rows = new Int32Array(n);
+    }
+    const pos = g.getAttribute('position'), col = g.getAttribute('color'), size = g.getAttribute('size');
+    const dim = selectedEvent ? 0.1 : 1.0, p = starData.pos, v = starData.vel, c = [com.x, com.y, com.z];
+    for (let j = 0; j < n; j++) {
+        const k = o0 + j, id = starData.ids[k], m = starData.mass[k];
+        const k1 = frac > 0 ? storeFind(starData, t1, id) : -1;
+        for (let a = 0; a < 3; a++) {
+            let x = p[k * 3 + a];
+            if (k1 >= 0) x = interpolationMode === 'linear' ? x + (p[k1 * 3 + a] - x) * frac : hermite(x, v[k * 3 + a], p[k1 * 3 + a], v[k1 * 3 + a], h, frac)[0];
+            else if (frac > 0) x += v[k * 3 + a] * frac * h;
+            pos.array[j * 3 + a] = x - c[a];
+        }
+        const cc = id === highlightedBhId ? highlightColor : (massFilterMin !== null && massFilterMax !== null && m >= massFilterMin && m <= massFilterMax ? massRangeColor : STAR_COLOR);
+        col.array.set([cc.r, cc.g, cc.b, dim * (cc === STAR_COLOR ? STAR_OPACITY : 1.0)], j * 4);
+        size.array[j] = STAR_POINT_SIZE * Math.cbrt(m) * particleSizeMultiplier;
+        starLayer.ids[j] = id; starLayer.rows[j] = k;
+    }
+    pos.needsUpdate = true; col.needsUpdate = true; size.needsUpdate = true;
+    g.setDrawRange(0, n);
+    g.boundingSphere = null;
+}
+
+function splitCsv(text) {
+    const rows = text.trim().split(/\r?\n/);
+    const headers = (rows.shift() || '').split(',').map(h => h.trim());
+    return { headers, rows };
+}
+
+function emptyStore(idKey) {
+    return { idKey, times: new Float64Array(0), offsets: new Uint32Array(1), ids: new Uint32Array(0), mass: new Float32Array(0), pos: new Float32Array(0), vel: new Float32Array(0) };
+}
+
+function indexStore(store) {
+    store.timeIndex = new Map(Array.from(store.times, (t, i) => [t, i]));
+    store.rowCache = new Map();
+    return store;
+}
+
+function storeRow(store, k, time) {
+    const p = store.pos, v = store.vel, k3 = k * 3;
+    const row = { time_myr: time, [store.idKey]: store.ids[k], mass_msun: store.mass[k], x: p[k3], y: p[k3 + 1], z: p[k3 + 2], vx: v[k3], vy: v[k3 + 1], vz: v[k3 + 2] };
+    if (store.spin) row.spin = store.spin[k];
+    return row;
+}
+
+// Rows of one snapshot as plain objects, sorted by id; the last few snapshots are kept so playback doesn't rebuild them every frame
+function storeSnapshot(store, time) {
+    const i = store.timeIndex.get(time);
+    if (i === undefined) return [];
+    if (store.rowCache.has(i)) return store.rowCache.get(i);
+    const rows = [];
+    for (let k = store.offsets[i]; k < store.offsets[i + 1]; k++) rows.push(storeRow(store, k, time));
+    if (store.rowCache.size >= ROW_CACHE_SIZE) store.rowCache.delete(store.rowCache.keys().next().value);
+    store.rowCache.set(i, rows);
+    return rows;
+}
+
+function storeFind(store, time, id) {
+    const i = store.timeIndex.get(time);
+    if (i === undefined) return -1;
+    let lo = store.offsets[i], hi = store.offsets[i + 1] - 1;
+    while (lo <= hi) {
+        const m = (lo + hi) >> 1, v = store.ids[m];
+        if (v === id) return m;
+        if (v < id) lo = m + 1; else hi = m - 1;
+    }
+    return -1;
+}
+
+function storeLookup(store, time, id) {
+    const k = storeFind(store, time, id);
+    return k < 0 ? undefined : storeRow(store, k, time);
+}
+
+// Binary search over a snapshot's rows, which storeSnapshot and interpolateSnapshot keep sorted by id
+function findById(rows, id) {
+    let lo = 0, hi = rows.length - 1;
+    while (lo <= hi) {
+        const m = (lo + hi) >> 1, v = rows[m].bh_id ?? rows[m].ns_id;
+        if (v === id) return rows[m];
+        if (v < id) lo = m + 1; else hi = m - 1;
+    }
+    return undefined;
+}
+
+function parseHistoryInWorker(source, name, idKey, onProgress) {
+    return new Promise((resolve, reject) => {
+        const w = new Worker(new URL('history.worker.js', import.meta.url));
+        w.onmessage = ({ data }) => {
+            if (data.type === 'progress') { onProgress(data.loaded, data.total); return; }
+            w.terminate();
+            if (data.type === 'done') resolve({ ...data, store: indexStore(data.store) });
+            else reject(Object.assign(new Error(data.message), { notFound: data.notFound }));
+        };
+        w.onerror = e => { w.terminate(); reject(new Error(`${name}: ${e.message}`)); };
+        w.postMessage({ source, name, idKey });
     });
-    if (targetMap === timeData) {
-        timeKeys = Array.from(timeData.keys()).sort((a, b) => a - b);
-        document.getElementById('time-slider').max = timeKeys.length - 1;
-        updateBlackHoles(0);
+}
+
+function parseInteractionCsv(text, name) {
+    const { headers, rows } = splitCsv(text);
+    const missing = EVENT_COLUMNS.filter(c => !headers.includes(c));
+    if (missing.length) throw new Error(`${name}: missing column(s) ${missing.join(', ')}`);
+    const events = [], errors = [];
+    rows.forEach((row, n) => {
+        if (!row.trim()) return;
+        const vals = row.split(','), raw = {};
+        headers.forEach((h, i) => raw[h] = vals[i]?.trim());
+        const type = raw['event_list'];
+        let ev = null;
+        if (type?.endsWith('ESCAPE')) {
+            // Escapes are written with their own id/time columns; fall back to the generic ones
+            ev = {
+                type: 'ESCAPE',
+                time: parseFloat(raw['time_list_escape'] || raw['time_list']),
+                id1: parseInt(raw['id1_ej'] || raw['id1_list_escape'] || raw['id1_list']),
+                id2: parseInt(raw['id2_ej'] || raw['id2_list_escape'] || raw['id2_list']),
+                m1: parseFloat(raw['m1_list']),
+                m2: parseFloat(raw['m2_list']),
+                period: parseFloat(raw['P_list'])
+            };
+        } else if (type === 'EXCHANGE' || type === 'MERGE') {
+            ev = {
+                type: type,
+                time: parseFloat(raw['time_list'] || raw['time_myr']),
+                id1: parseInt(raw['id1_list']),
+                id2: parseInt(raw['id2_list']),
+                id3: parseInt(raw['id3_list']),
+                id4: parseInt(raw['id4_list']),
+                m1: parseFloat(raw['m1_list']),
+                m2: parseFloat(raw['m2_list']),
+                period: parseFloat(raw['P_list'])
+            };
+        } else { errors.push(`${name}:${n + 2}: unknown event type "${type ?? ''}"`); return; }
+        if (isNaN(ev.time) || isNaN(ev.id1) || isNaN(ev.id2)) { errors.push(`${name}:${n + 2}: invalid time or id`); return; }
+        events.push(ev);
+    });
+    return { events, errors };
+}
+
+// Works out which layer a user-supplied file holds from its header, so file names don't matter
+async function detectDatasetKind(file) {
+    const head = new Uint8Array(await file.slice(0, 4096).arrayBuffer());
+    if (String.fromCharCode(...head.subarray(0, 4)) === 'NBVR') return Object.keys(HISTORY_LAYERS)[new DataView(head.buffer).getUint32(16, true)] ?? null;
+    const text = new TextDecoder().decode(head);
+    const headers = splitCsv(text.slice(0, text.indexOf('\n') + 1 || undefined)).headers;
+    if (headers.includes('event_list')) return 'events';
+    if (headers.includes('ns_id')) return 'ns';
+    if (headers.includes('star_id')) return 'stars';
+    if (headers.includes('bh_id')) return 'bh';
+    return null;
+}
+
+async function fetchDatasetText(url, optional) {
+    const res = await fetch(url);
+    if (res.ok) return res.text();
+    if (optional) return null;
+    throw new Error(`${url}: ${res.status} ${res.statusText}`);
+}
+
+async function resolveDatasetUrls(param) {
+    const base = new URL(param || './', window.location.href);
+    if (base.pathname.endsWith('.json')) {
+        const manifest = JSON.parse(await fetchDatasetText(base.href, false));
+        return Object.fromEntries(Object.keys(DEFAULT_DATASET).filter(k => manifest[k]).map(k => [k, new URL(manifest[k], base).href]));
     }
+    if (!base.pathname.endsWith('/')) base.pathname += '/';
+    return Object.fromEntries(Object.entries(DEFAULT_DATASET).map(([k, f]) => [k, new URL(f, base).href]));
 }
 
-async function loadInteractionData() {
+function createProgressTracker(names) {
+    const loaded = {}, total = {}, bar = document.getElementById('dataset-progress');
+    bar.style.display = 'block'; bar.value = 0;
+    reportDatasetStatus([`Loading ${names.join(', ')}...`], false);
+    return {
+        update(key, l, t) {
+            loaded[key] = l; total[key] = t;
+            const sumT = Object.values(total).reduce((a, b) => a + b, 0);
+            if (sumT > 0) bar.value = Object.values(loaded).reduce((a, b) => a + b, 0) / sumT;
+        },
+        done() { bar.style.display = 'none'; }
+    };
+}
+
+async function loadDatasetFromUrls(urls, run = activeRun) {
+    const names = Object.fromEntries(Object.entries(urls).map(([k, u]) => [k, u.split('/').pop()])), notes = [];
+    const progress = createProgressTracker(Object.values(names));
+    const optional = (k, p) => p.catch(e => { if (!e.notFound) throw e; notes.push(`${urls[k]} not found, skipped`); return null; });
     try {
-        const res = await fetch('bh_events.csv');
-        const text = await res.text();
-        const rows = text.trim().split('\n');
-        const headers = rows.shift().split(',').map(h => h.trim());
-        interactionEvents = [];
-        rows.forEach(row => {
-            const vals = row.split(','), raw = {};
-            headers.forEach((h, i) => raw[h] = vals[i]?.trim());
-            const type = raw['event_list'];
-            if (type === 'EXCHANGE' || type === 'MERGE') {
-                interactionEvents.push({
-                    type: type,
-                    time: parseFloat(raw['time_list'] || raw['time_myr']),
-                    id1: parseInt(raw['id1_list']),
-                    id2: parseInt(raw['id2_list']),
-                    id3: parseInt(raw['id3_list']),
-                    id4: parseInt(raw['id4_list'])
-                });
-            }
-        });
-    } catch (e) { console.warn(e); }
+        const histories = await Promise.all(Object.entries(HISTORY_LAYERS).map(([k, idKey]) => {
+            if (!urls[k]) return null;
+            const p = parseHistoryInWorker(urls[k], names[k], idKey, (l, t) => progress.update(k, l, t));
+            return k === 'bh' ? p : optional(k, p);
+        }));
+        const events = urls.events ? await fetchDatasetText(urls.events, true) : null;
+        if (urls.events && events === null) notes.push(`${urls.events} not found, skipped`);
+        if (!runs.includes(run)) return false;
+        if (run !== activeRun) setActiveRun(run);
+        return applyDataset(Object.fromEntries(Object.keys(HISTORY_LAYERS).map((k, i) => [k, histories[i]])), events, names, notes);
+    } catch (e) { reportDatasetStatus([...notes, e.message], true); return false; }
+    finally { progress.done(); }
+}
+
+async function loadDatasetFromFiles(files, run = activeRun) {
+    const byKind = {}, names = {}, notes = [];
+    for (const f of files) {
+        const kind = await detectDatasetKind(f);
+        if (!kind) { notes.push(`${f.name}: unrecognised header, expected bh_id, ns_id, star_id or event_list`); continue; }
+        byKind[kind] = f; names[kind] = f.name;
+    }
+    if (!byKind.bh) { reportDatasetStatus([...notes, 'No BH history file (with a bh_id column) supplied; keeping the current dataset'], true); return false; }
+    const progress = createProgressTracker(Object.values(names));
+    try {
+        const histories = await Promise.all(Object.entries(HISTORY_LAYERS).map(([k, idKey]) =>
+            byKind[k] ? parseHistoryInWorker(byKind[k], names[k], idKey, (l, t) => progress.update(k, l, t)) : null));
+        const events = byKind.events ? await byKind.events.text() : null;
+        if (!runs.includes(run)) return false;
+        if (run !== activeRun) setActiveRun(run);
+        if (!applyDataset(Object.fromEntries(Object.keys(HISTORY_LAYERS).map((k, i) => [k, histories[i]])), events, names, notes)) return false;
+        run.name = names.bh;
+        refreshRunList();
+        return true;
+    } catch (e) { reportDatasetStatus([...notes, e.message], true); return false; }
+    finally { progress.done(); }
+}
+
+// Loads another run beside the current ones; a run that fails to load is dropped again
+async function addRun(name, load) {
+    const prev = activeRun, run = createRun(name);
+    updateCameraAspect(); refreshRunList();
+    if (await load(run)) return;
+    if (activeRun === run) setActiveRun(prev);
+    removeRun(run);
+}
+
+function applyDataset(histories, events, names, notes = []) {
+    const { bh, ns, stars } = histories;
+    let ev = { events: [], errors: [] };
+    try {
+        if (events) ev = parseInteractionCsv(events, names.events);
+    } catch (e) { reportDatasetStatus([...notes, e.message], true); return false; }
+    if (bh.store.times.length === 0) { reportDatasetStatus([...notes, ...bh.errors, `${names.bh}: no valid rows`], true); return false; }
+    resetScene();
+    timeData = bh.store; interactionEvents = ev.events;
+    // Event times by type in ascending order, for counting the events up to a snapshot by binary search
+    eventTimes = {};
+    interactionEvents.forEach(e => { if (!isNaN(e.time)) (eventTimes[e.type] ||= []).push(e.time); });
+    Object.values(eventTimes).forEach(a => a.sort((x, y) => x - y));
+    nsData = ns ? ns.store : indexStore(emptyStore('ns_id'));
+    starData = stars ? stars.store : indexStore(emptyStore('star_id'));
+    timeKeys = Array.from(timeData.times);
+    document.getElementById('time-slider').max = timeKeys.length - 1;
+    updateBlackHoles(0);
+    renderEventBrowser();
+    const loadedHistories = Object.values(histories).filter(Boolean);
+    const errors = [...loadedHistories.flatMap(h => h.errors), ...ev.errors.slice(0, MAX_REPORTED_ERRORS)];
+    const errorCount = loadedHistories.reduce((a, h) => a + h.errorCount, 0) + ev.errors.length;
+    const loaded = [...Object.keys(HISTORY_LAYERS).filter(k => histories[k]), ...(events ? ['events'] : [])].map(k => names[k]);
+    const lines = [`Loaded ${loaded.join(', ')}: ${timeKeys.length} snapshots, ${loadedHistories.reduce((a, h) => a + h.rows, 0)} rows, ${interactionEvents.length} events`, ...notes];
+    if (errorCount) lines.push(`${errorCount} row(s) skipped:`, ...errors, ...(errorCount > errors.length ? ['...'] : []));
+    reportDatasetStatus(lines, errorCount > 0);
+    return true;
+}
+
+function reportDatasetStatus(lines, isError) {
+    const el = document.getElementById('dataset-status');
+    el.textContent = lines.join('\n');
+    el.classList.toggle('error', !!isError);
+    if (isError) console.warn(lines.join('\n'));
+}
+
+function resetScene() {
+    isPlaying = false;
+    document.getElementById('play-pause-btn').textContent = 'Play';
+    ellipseObjects.forEach(o => cleanup(o)); ellipseObjects.clear();
+    // Trails share TRAIL_MATERIAL, so only their geometry is freed
+    trailObjects.forEach(l => { l.geometry.dispose(); l.removeFromParent(); }); trailObjects.clear();
+    clearLayer(bhLayer); clearLayer(nsLayer);
+    eventVectors.forEach(v => cleanup(v)); eventVectors = [];
+    escapeTrackCache.clear(); mergerCache.clear(); comCache.clear(); orbitSeriesCache.clear();
+    binaryCatalog = null; binaryScanToken++; diagnostics = null; inspected = null;
+    document.getElementById('binary-status').textContent = '';
+    renderBinaryTable();
+    setOrbitPair(NaN, NaN);
+    selectedEvent = null; currentIdx = 0; currentFrac = 0; playbackTime = 0;
+    showEventInfo(null);
 }
 
 function drawArrow(p, d, l, c) {
     if (l <= 1e-6 || isNaN(d.x)) return;
     const a = new THREE.ArrowHelper(d.clone().normalize(), p, l, c);
-    scene.add(a); eventVectors.push(a);
+    clusterRoot.add(a); eventVectors.push(a);
 }
 
 function drawVel(id, data, com, col = VECTOR_COLOR, sc = 20.0) {
-    const d = data.find(b => b.bh_id === id);
+    const d = findById(data, id);
     if (d) {
         const v = new THREE.Vector3(d.vx, d.vy, d.vz);
         drawArrow(new THREE.Vector3(d.x - com.x, d.y - com.y, d.z - com.z), v, v.length() * sc * velScaleMultiplier, col);
@@ -144,16 +737,16 @@ function handleExchangeEvent(time, bhData, com) {
     const interloper = (id3 === id1 || id3 === id2) ? id4 : id3;
     const ejected = (id1 === id3 || id1 === id4) ? id2 : id1;
     bhObjects.forEach((s, id) => {
-        if (![id1, id2, id3, id4].includes(id)) { s.material.opacity = 0.1; s.material.color.set(DEFAULT_COLOR); }
+        if (![id1, id2, id3, id4].includes(id)) { s.opacity = 0.1; s.color.set(DEFAULT_COLOR); }
         else {
-            s.material.opacity = 1.0;
-            if ([id1, id2].includes(id)) s.material.color.set(BINARY_PARTICLE_COLOR);
-            else if (id === interloper) s.material.color.set(INTERLOPER_PARTICLE_COLOR);
-            else s.material.color.set(DEFAULT_COLOR);
+            s.opacity = 1.0;
+            if ([id1, id2].includes(id)) s.color.set(BINARY_PARTICLE_COLOR);
+            else if (id === interloper) s.color.set(INTERLOPER_PARTICLE_COLOR);
+            else s.color.set(DEFAULT_COLOR);
         }
     });
     const drawComVel = (i1, i2) => {
-        const b1 = bhData.find(b => b.bh_id === i1), b2 = bhData.find(b => b.bh_id === i2);
+        const b1 = findById(bhData, i1), b2 = findById(bhData, i2);
         if (b1 && b2) {
             const p1 = new THREE.Vector3(b1.x, b1.y, b1.z), p2 = new THREE.Vector3(b2.x, b2.y, b2.z);
             const v1 = new THREE.Vector3(b1.vx, b1.vy, b1.vz), v2 = new THREE.Vector3(b2.vx, b2.vy, b2.vz);
@@ -176,21 +769,24 @@ function handleExchangeEvent(time, bhData, com) {
 
 function handleMergeEvent(time, bhData, com) {
     const { time: et, id1, id2 } = selectedEvent;
+    const gw = mergerAnalysis(selectedEvent);
+    if (gw) showEventInfo(formatMerger(gw, selectedEvent));
+    updateGwPanel(gw);
     const curIds = new Set(bhData.map(b => b.bh_id));
     const rid = curIds.has(id1) ? id1 : (curIds.has(id2) ? id2 : null);
     bhObjects.forEach((s, id) => {
-        if (![id1, id2, rid].includes(id)) s.material.opacity = 0.1;
+        if (![id1, id2, rid].includes(id)) s.opacity = 0.1;
         else {
-            s.material.opacity = 1.0;
-            if (time < et) { if ([id1, id2].includes(id)) s.material.color.set(BINARY_PARTICLE_COLOR); }
-            else { if (id === rid) s.material.color.set(POST_EVENT_COLOR); else s.material.opacity = 0.1; }
+            s.opacity = 1.0;
+            if (time < et) { if ([id1, id2].includes(id)) s.color.set(BINARY_PARTICLE_COLOR); }
+            else { if (id === rid) s.color.set(POST_EVENT_COLOR); else s.opacity = 0.1; }
         }
     });
     const kickIdx = timeKeys.findIndex(t => t >= et);
     const preT = timeKeys[kickIdx - 1];
     if (time < et) {
         drawOrbit(id1, id2, bhData, com, PRE_EXCHANGE_ORBIT_COLOR);
-        const b1 = bhData.find(b => b.bh_id === id1), b2 = bhData.find(b => b.bh_id === id2);
+        const b1 = findById(bhData, id1), b2 = findById(bhData, id2);
         if (b1 && b2) {
             const p1 = new THREE.Vector3(b1.x, b1.y, b1.z), p2 = new THREE.Vector3(b2.x, b2.y, b2.z);
             const v1 = new THREE.Vector3(b1.vx, b1.vy, b1.vz), v2 = new THREE.Vector3(b2.vx, b2.vy, b2.vz);
@@ -200,14 +796,15 @@ function handleMergeEvent(time, bhData, com) {
             drawArrow(cp.sub(com), cv, cv.length() * 20.0 * velScaleMultiplier, COM_VELOCITY_COLOR);
             if (showSpinVectors) {
                 const sdir = new THREE.Vector3().crossVectors(p1.clone().sub(p2), v1.clone().sub(v2)).normalize();
-                drawArrow(new THREE.Vector3(b1.x - com.x, b1.y - com.y, b1.z - com.z), sdir, SPIN_VECTOR_SCALE * spinScaleMultiplier * PSEUDO_SPIN_PARAMETER_A * m1 * m1, SPIN_VECTOR_COLOR);
-                drawArrow(new THREE.Vector3(b2.x - com.x, b2.y - com.y, b2.z - com.z), sdir, SPIN_VECTOR_SCALE * spinScaleMultiplier * PSEUDO_SPIN_PARAMETER_A * m2 * m2, SPIN_VECTOR_COLOR);
+                // Negative spins are anti-aligned with the orbit
+                const a1 = bhSpin(b1), a2 = bhSpin(b2);
+                drawArrow(new THREE.Vector3(b1.x - com.x, b1.y - com.y, b1.z - com.z), sdir.clone().multiplyScalar(Math.sign(a1) || 1), SPIN_VECTOR_SCALE * spinScaleMultiplier * Math.abs(a1) * m1 * m1, SPIN_VECTOR_COLOR);
+                drawArrow(new THREE.Vector3(b2.x - com.x, b2.y - com.y, b2.z - com.z), sdir.clone().multiplyScalar(Math.sign(a2) || 1), SPIN_VECTOR_SCALE * spinScaleMultiplier * Math.abs(a2) * m2 * m2, SPIN_VECTOR_COLOR);
             }
         }
     } else if (rid !== null && preT) {
-        const rd = bhData.find(b => b.bh_id === rid);
-        const preData = timeData.get(preT);
-        const b1 = preData.find(b => b.bh_id === id1), b2 = preData.find(b => b.bh_id === id2);
+        const rd = findById(bhData, rid);
+        const b1 = storeLookup(timeData, preT, id1), b2 = storeLookup(timeData, preT, id2);
         if (rd && b1 && b2) {
             const v1 = new THREE.Vector3(b1.vx, b1.vy, b1.vz), v2 = new THREE.Vector3(b2.vx, b2.vy, b2.vz);
             const m1 = b1.mass_msun, m2 = b2.mass_msun;
@@ -218,53 +815,296 @@ function handleMergeEvent(time, bhData, com) {
             if (showSpinVectors) {
                 const h = new THREE.Vector3().crossVectors(new THREE.Vector3(b1.x - b2.x, b1.y - b2.y, b1.z - b2.z), new THREE.Vector3(b1.vx - b2.vx, b1.vy - b2.vy, b1.vz - b2.vz));
                 const sdir = h.normalize();
-                const smag = SPIN_VECTOR_SCALE * spinScaleMultiplier * PSEUDO_SPIN_PARAMETER_A * rd.mass_msun * rd.mass_msun;
+                const smag = SPIN_VECTOR_SCALE * spinScaleMultiplier * (gw ? gw.chiF : bhSpin(rd)) * rd.mass_msun * rd.mass_msun;
                 drawArrow(new THREE.Vector3(rd.x - com.x, rd.y - com.y, rd.z - com.z), sdir, smag, MERGE_SPIN_COLOR);
             }
         }
     }
 }
 
-function updateBlackHoles(idx) {
+// Dimensionless spin of a BH row: a per-ID override, else the history's spin column, else the default
+function bhSpin(row) {
+    const id = row.bh_id ?? row.ns_id;
+    if (spinOverrides.has(id)) return spinOverrides.get(id);
+    return Number.isFinite(row.spin) ? row.spin : defaultSpin;
+}
+
+function parseSpinOverrides(text) {
+    const map = new Map();
+    text.split(/[\s,;]+/).forEach(tok => {
+        const [id, a] = tok.split(/[=:]/).map(Number);
+        if (Number.isInteger(id) && Number.isFinite(a)) map.set(id, THREE.MathUtils.clamp(a, -MAX_SPIN, MAX_SPIN));
+    });
+    return map;
+}
+
+// Binding energy per unit mass at the innermost stable circular orbit of a Kerr BH with spin a
+function iscoEnergy(a) {
+    const z1 = 1 + Math.cbrt(1 - a * a) * (Math.cbrt(1 + a) + Math.cbrt(1 - a)), z2 = Math.sqrt(3 * a * a + z1 * z1);
+    const r = 3 + z2 - Math.sign(a) * Math.sqrt((3 - z1) * (3 + z1 + 2 * z2));
+    return Math.sqrt(1 - 2 / (3 * r));
+}
+
+function mergerAnalysis(ev) {
+    // Cached per event like escape tracks, since the escape speed sums over every star; spin settings are part of the key
+    const hit = mergerCache.get(ev);
+    if (hit && hit.defaultSpin === defaultSpin && hit.spinOverrides === spinOverrides) return hit.g;
+    const g = analyseMerger(ev);
+    mergerCache.set(ev, { defaultSpin, spinOverrides, g });
+    return g;
+}
+
+// Progenitors from the last snapshot before the merger, remnant from the first one after it. Spins are taken as
+// aligned with the orbit: final spin from Rezzolla et al. (2008), radiated energy from Barausse, Morozova & Rezzolla (2012)
+function analyseMerger(ev) {
+    const kickIdx = timeKeys.findIndex(t => t >= ev.time);
+    if (kickIdx < 1) return null;
+    const preT = timeKeys[kickIdx - 1], postT = timeKeys[kickIdx];
+    let b1 = storeLookup(timeData, preT, ev.id1), b2 = storeLookup(timeData, preT, ev.id2);
+    if (!b1 || !b2) return null;
+    if (b2.mass_msun > b1.mass_msun) [b1, b2] = [b2, b1];
+    const m1 = b1.mass_msun, m2 = b2.mass_msun, M = m1 + m2, q = m2 / m1, eta = m1 * m2 / (M * M);
+    const chi1 = bhSpin(b1), chi2 = bhSpin(b2);
+    const aTilde = (chi1 + chi2 * q * q) / (1 + q * q);
+    const chiF = Math.min(MAX_SPIN, aTilde + aTilde * eta * (-0.1229 * aTilde + 0.4537 * eta - 2.8904) + eta * (2 * Math.sqrt(3) - 3.5171 * eta + 2.5763 * eta * eta));
+    const aTot = (chi1 + chi2 * q * q) / (1 + q) ** 2, eIsco = iscoEnergy(aTot);
+    const eRad = eta * (1 - eIsco) + 4 * eta * eta * (4 * 0.04827 + 16 * 0.01707 * aTot * (aTot + 1) + eIsco - 1);
+    const rem = storeLookup(timeData, postT, ev.id1) || storeLookup(timeData, postT, ev.id2);
+    const vPre = new THREE.Vector3(b1.vx, b1.vy, b1.vz).multiplyScalar(m1).addScaledVector(new THREE.Vector3(b2.vx, b2.vy, b2.vz), m2).divideScalar(M);
+    const kick = rem ? new THREE.Vector3(rem.vx, rem.vy, rem.vz).sub(vPre).length() : null;
+    const vEsc = rem ? clusterEscapeSpeed(rem, [rem.bh_id], storeSnapshot(timeData, postT), storeSnapshot(nsData, postT), postT) : null;
+    return { m1, m2, M, q, eta, chi1, chi2, chirp: Math.pow(m1 * m2, 0.6) / Math.pow(M, 0.2), chiF, mF: M * (1 - eRad), rem, kick, vEsc };
+}
+
+function formatMerger(g, ev) {
+    const kms = v => (v * PC_PER_MYR_IN_KMS).toFixed(1);
+    const lines = [
+        `MERGE ${ev.id1} + ${ev.id2} @ ${ev.time.toFixed(0)} Myr`,
+        `m1 = ${g.m1.toFixed(2)}, m2 = ${g.m2.toFixed(2)} Msun, q = ${g.q.toFixed(3)}`,
+        `M_chirp = ${g.chirp.toFixed(2)} Msun, eta = ${g.eta.toFixed(4)}`,
+        `chi1 = ${g.chi1.toFixed(2)}, chi2 = ${g.chi2.toFixed(2)} (aligned)`,
+        `Remnant: M_f = ${g.mF.toFixed(2)} Msun (E_GW = ${(g.M - g.mF).toFixed(2)} Msun c²), chi_f = ${g.chiF.toFixed(3)}`
+    ];
+    if (!g.rem) lines.push('No remnant in the snapshot after the merger');
+    else lines.push(`  data: ${g.rem.bh_id} with ${g.rem.mass_msun.toFixed(2)} Msun at ${g.rem.time_myr.toFixed(0)} Myr`,
+        `Kick = ${kms(g.kick)} km/s (${g.kick.toFixed(2)} pc/Myr) / v_esc ${kms(g.vEsc)} km/s${g.kick > g.vEsc ? ' [ejected]' : ' [retained]'}`);
+    return lines.join('\n');
+}
+
+// Leading-order (quadrupole) inspiral chirp from GW_F_LOW up to the ISCO frequency, unit amplitude at ISCO
+function chirpWaveform(chirpMass, totalMass) {
+    const key = `${chirpMass}-${totalMass}`;
+    if (gwWaveform && gwWaveform.key === key) return gwWaveform;
+    const tc = chirpMass * GM_SUN_OVER_C3, fIsco = 1 / (Math.pow(6, 1.5) * Math.PI * totalMass * GM_SUN_OVER_C3);
+    const tau = f => (5 / 256) * Math.pow(tc, -5 / 3) * Math.pow(Math.PI * f, -8 / 3);
+    const tauEnd = tau(fIsco), tauStart = Math.min(tau(GW_F_LOW), tauEnd + GW_MAX_SECONDS);
+    const n = Math.max(0, Math.ceil((tauStart - tauEnd) * GW_SAMPLE_RATE)), samples = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+        const t = tauEnd + (n - 1 - i) / GW_SAMPLE_RATE;
+        const f = Math.pow(5 / (256 * t), 3 / 8) * Math.pow(tc, -5 / 8) / Math.PI;
+        samples[i] = Math.pow(f / fIsco, 2 / 3) * Math.cos(-2 * Math.pow(t / (5 * tc), 5 / 8));
+    }
+    const step = Math.max(1, Math.floor(n / GW_PLOT_POINTS)), plot = [];
+    for (let i = 0; i < n; i += step) plot.push(samples[i]);
+    gwWaveform = { key, samples, plot, plotted: false, fIsco, duration: n / GW_SAMPLE_RATE };
+    return gwWaveform;
+}
+
+function updateGwPanel(g) {
+    if (boundRun !== activeRun) return;
+    const panel = document.getElementById('merger-gw');
+    panel.style.display = g ? '' : 'none';
+    const show = !!g && document.getElementById('gw-chirp-checkbox').checked;
+    document.getElementById('gw-canvas').style.display = show ? '' : 'none';
+    if (!show) { document.getElementById('gw-info').textContent = ''; return; }
+    const w = chirpWaveform(g.chirp, g.M);
+    // The canvas keeps its drawing while hidden, so a waveform is only plotted when it first shows up
+    if (!w.plotted) { drawChart(document.getElementById('gw-canvas'), [{ values: w.plot, color: '#333' }], null, false); w.plotted = true; }
+    document.getElementById('gw-info').textContent = `${GW_F_LOW} → ${w.fIsco.toFixed(0)} Hz, ${w.duration.toFixed(2)} s`;
+}
+
+function playChirp() {
+    const g = selectedEvent && selectedEvent.type === 'MERGE' ? mergerAnalysis(selectedEvent) : null;
+    if (!g) return;
+    const w = chirpWaveform(g.chirp, g.M);
+    if (!w.samples.length) return;
+    const ctx = new AudioContext(), buf = ctx.createBuffer(1, w.samples.length, GW_SAMPLE_RATE), src = ctx.createBufferSource(), gain = ctx.createGain();
+    buf.copyToChannel(w.samples, 0);
+    gain.gain.value = GW_AUDIO_GAIN;
+    src.buffer = buf; src.connect(gain).connect(ctx.destination);
+    src.onended = () => ctx.close();
+    src.start();
+}
+
+function getEscapeTrack(id) {
+    if (escapeTrackCache.has(id)) return escapeTrackCache.get(id);
+    const pts = [];
+    let last = null;
+    timeKeys.forEach(t => {
+        const d = storeLookup(timeData, t, id);
+        if (d) { pts.push(new THREE.Vector3(d.x, d.y, d.z)); last = d; }
+    });
+    const track = { points: pts, last };
+    escapeTrackCache.set(id, track);
+    return track;
+}
+
+// Potential at `pos` from the BHs and NSs given and the field stars of the snapshot at `time`, which should be the one they came from
+function clusterEscapeSpeed(pos, excludeIds, bhData, nsList, time) {
+    let phi = 0;
+    [...bhData, ...nsList].forEach(p => {
+        if (!p.mass_msun || excludeIds.includes(p.bh_id ?? p.ns_id)) return;
+        const r = Math.hypot(p.x - pos.x, p.y - pos.y, p.z - pos.z);
+        if (r > 1e-6) phi -= G * p.mass_msun / r;
+    });
+    // Field stars, when loaded, dominate the potential; read them straight from the packed arrays
+    const i = starData.timeIndex.get(time);
+    if (i !== undefined) for (let k = starData.offsets[i]; k < starData.offsets[i + 1]; k++) {
+        const r = Math.hypot(starData.pos[k * 3] - pos.x, starData.pos[k * 3 + 1] - pos.y, starData.pos[k * 3 + 2] - pos.z);
+        if (r > 1e-6) phi -= G * starData.mass[k] / r;
+    }
+    return Math.sqrt(-2 * phi);
+}
+
+function handleEscapeEvent(time, bhData, com, nsList) {
+    const { time: et, id1, id2 } = selectedEvent;
+    const escapers = [id1, id2].filter(id => !isNaN(id));
+    bhObjects.forEach((s, id) => {
+        if (!escapers.includes(id)) { s.opacity = 0.1; s.color.set(DEFAULT_COLOR); }
+        else { s.opacity = 1.0; s.color.set(ESCAPER_PARTICLE_COLOR); }
+    });
+    if (escapers.length === 2) drawOrbit(id1, id2, bhData, com, ESCAPER_PARTICLE_COLOR);
+    const lines = [`ESCAPE @ ${et.toFixed(0)} Myr`];
+    escapers.forEach(id => {
+        const { points, last } = getEscapeTrack(id);
+        if (!last) { lines.push(`${id}: no history`); return; }
+        const p = new THREE.Vector3(last.x, last.y, last.z), v = new THREE.Vector3(last.vx, last.vy, last.vz);
+        const path = points.map(q => q.clone().sub(com));
+        // Extrapolate along the last recorded velocity until the track clears the simulation box
+        const R = SIMULATION_BOUNDS * ESCAPE_TRACK_EXTENT, dir = v.clone().normalize();
+        const pd = p.dot(dir), tOut = -pd + Math.sqrt(Math.max(0, pd * pd - p.lengthSq() + R * R));
+        if (v.lengthSq() > 0 && tOut > 0) {
+            const ext = new THREE.Line(new THREE.BufferGeometry().setFromPoints([p.clone().sub(com), p.clone().addScaledVector(dir, tOut).sub(com)]), new THREE.LineDashedMaterial({ color: ESCAPE_TRACK_COLOR, dashSize: 1, gapSize: 0.5 }));
+            ext.computeLineDistances();
+            clusterRoot.add(ext); eventVectors.push(ext);
+        }
+        if (path.length > 1) {
+            const l = new THREE.Line(new THREE.BufferGeometry().setFromPoints(path), new THREE.LineBasicMaterial({ color: ESCAPE_TRACK_COLOR }));
+            clusterRoot.add(l); eventVectors.push(l);
+        }
+        drawVel(id, bhData, com, ESCAPE_TRACK_COLOR, 20.0);
+        const cur = findById(bhData, id) || last;
+        const vEsc = clusterEscapeSpeed(cur, escapers, bhData, nsList, timeKeys[currentIdx]);
+        lines.push(`${id}: v_final ${v.length().toFixed(2)} pc/Myr (t=${last.time_myr.toFixed(0)}) / v_esc ${vEsc.toFixed(2)} pc/Myr${v.length() > vEsc ? ' [unbound]' : ''}`);
+    });
+    showEventInfo(lines.join('\n'));
+}
+
+function showEventInfo(text) {
+    if (boundRun !== activeRun) return;
+    const el = document.getElementById('event-info');
+    el.textContent = text || '';
+    el.style.display = text ? 'block' : 'none';
+}
+
+function computeCom(time) {
+    return useComFrame ? clusterCom(time) : new THREE.Vector3();
+}
+
+function clusterCom(time) {
+    const com = new THREE.Vector3();
+    if (comCache.has(time)) return com.copy(comCache.get(time));
+    let tm = 0;
+    [timeData, nsData, starData].forEach(store => {
+        const i = store.timeIndex.get(time);
+        if (i === undefined) return;
+        for (let k = store.offsets[i]; k < store.offsets[i + 1]; k++) {
+            const m = store.mass[k];
+            if (m) { tm += m; com.x += store.pos[k * 3] * m; com.y += store.pos[k * 3 + 1] * m; com.z += store.pos[k * 3 + 2] * m; }
+        }
+    });
+    if (tm > 0) com.divideScalar(tm);
+    comCache.set(time, com.clone());
+    return com;
+}
+
+function hermite(p0, v0, p1, v1, h, s) {
+    const s2 = s * s, s3 = s2 * s;
+    const p = (2 * s3 - 3 * s2 + 1) * p0 + (s3 - 2 * s2 + s) * h * v0 + (-2 * s3 + 3 * s2) * p1 + (s3 - s2) * h * v1;
+    const v = ((6 * s2 - 6 * s) * p0 + (3 * s2 - 4 * s + 1) * h * v0 + (-6 * s2 + 6 * s) * p1 + (3 * s2 - 2 * s) * h * v1) / h;
+    return [p, v];
+}
+
+function interpolateSnapshot(store, idx, frac) {
+    const t0 = timeKeys[idx], t1 = timeKeys[idx + 1], h = t1 - t0, tau = frac * h;
+    // Particles missing from the next snapshot drift on their last velocity; new ones wait for their first snapshot
+    return storeSnapshot(store, t0).map(a => {
+        const k = storeFind(store, t1, a[store.idKey]), b = k < 0 ? null : storeRow(store, k, t1), out = { ...a, time_myr: t0 + tau };
+        ['x', 'y', 'z'].forEach(c => {
+            const vc = 'v' + c;
+            if (!b) out[c] = a[c] + a[vc] * tau;
+            else if (interpolationMode === 'linear') { out[c] = a[c] + (b[c] - a[c]) * frac; out[vc] = a[vc] + (b[vc] - a[vc]) * frac; }
+            else [out[c], out[vc]] = hermite(a[c], a[vc], b[c], b[vc], h, frac);
+        });
+        if (b) out.mass_msun = a.mass_msun + (b.mass_msun - a.mass_msun) * frac;
+        return out;
+    });
+}
+
+function renderAtTime(t, force = false) {
+    if (timeKeys.length === 0) return;
+    let idx = timeKeys.findIndex(k => k > t) - 1;
+    if (idx < 0) idx = t < timeKeys[0] ? 0 : timeKeys.length - 1;
+    const frac = idx < timeKeys.length - 1 ? (t - timeKeys[idx]) / (timeKeys[idx + 1] - timeKeys[idx]) : 0;
+    if (interpolationMode === 'off' || frac <= 0) { if (force || idx !== currentIdx || currentFrac > 0) updateBlackHoles(idx); }
+    else updateBlackHoles(idx, frac);
+    playbackTime = t;
+    if (force && boundRun === activeRun) runs.forEach(r => { if (r !== activeRun) r.dirty = true; });
+}
+
+function updateBlackHoles(idx, frac = 0) {
     if (idx >= timeKeys.length || idx < 0) return;
-    const time = timeKeys[idx], bhs = timeData.get(time);
-    document.getElementById('time-slider').value = idx;
-    document.getElementById('time-label').textContent = `${time.toFixed(2)} Myr`;
+    const interp = frac > 0 && idx < timeKeys.length - 1;
+    const time = interp ? timeKeys[idx] + frac * (timeKeys[idx + 1] - timeKeys[idx]) : timeKeys[idx];
+    const bhs = interp ? interpolateSnapshot(timeData, idx, frac) : storeSnapshot(timeData, time);
+    const nsList = interp ? interpolateSnapshot(nsData, idx, frac) : storeSnapshot(nsData, time);
+    currentIdx = idx; currentFrac = interp ? frac : 0; playbackTime = time;
+    // Runs kept in step by syncRuns draw into the scene but leave the shared panels to the active run
+    const ui = boundRun === activeRun;
+    if (ui) {
+        document.getElementById('time-slider').value = idx;
+        document.getElementById('time-label').textContent = `${time.toFixed(2)} Myr`;
+        drawEventPlayhead();
+    }
     eventVectors.forEach(v => cleanup(v)); eventVectors = [];
     ellipseObjects.forEach(o => cleanup(o)); ellipseObjects.clear();
-    const com = new THREE.Vector3();
-    if (useComFrame) {
-        let tm = 0;
-        [...bhs, ...(nsData.get(time) || [])].forEach(p => { if(p.mass_msun){ tm += p.mass_msun; com.addScaledVector(new THREE.Vector3(p.x, p.y, p.z), p.mass_msun); } });
-        if (tm > 0) com.divideScalar(tm);
-    }
+    showEventInfo(null);
+    if (!selectedEvent || selectedEvent.type !== 'MERGE') updateGwPanel(null);
+    const com = interp ? computeCom(timeKeys[idx]).lerp(computeCom(timeKeys[idx + 1]), frac) : computeCom(time);
     cubeFrame.position.copy(com).negate();
     const ids = new Set(bhs.map(b => b.bh_id));
-    bhObjects.forEach((o, id) => { if (!ids.has(id)) { cleanup(o); bhObjects.delete(id); } });
+    bhObjects.forEach((o, id) => { if (!ids.has(id)) bhObjects.delete(id); });
     bhs.forEach(bh => {
-        let s = bhObjects.get(bh.bh_id);
-        if (!s) {
-            s = new THREE.Mesh(new THREE.SphereGeometry(0.01, 32, 32), new THREE.MeshPhysicalMaterial({ metalness: 0.9, roughness: 0.1, clearcoat: 1.0, transparent: true }));
-            bhObjects.set(bh.bh_id, s); scene.add(s);
-        }
+        const s = layerItem(bhLayer, bh.bh_id);
         s.userData.bhData = bh;
         s.position.set(bh.x - com.x, bh.y - com.y, bh.z - com.z);
-        const sc = bh.mass_msun * particleSizeMultiplier; s.scale.set(sc, sc, sc);
+        s.scale = bh.mass_msun * particleSizeMultiplier;
     });
     if (selectedEvent) {
         if (selectedEvent.type === 'EXCHANGE') handleExchangeEvent(time, bhs, com);
         else if (selectedEvent.type === 'MERGE') handleMergeEvent(time, bhs, com);
+        else if (selectedEvent.type === 'ESCAPE') handleEscapeEvent(time, bhs, com, nsList);
     } else {
         bhObjects.forEach(s => {
             const d = s.userData.bhData;
-            if (highlightedBhId === d.bh_id) s.material.color.set(highlightColor);
-            else if (massFilterMin !== null && massFilterMax !== null && d.mass_msun >= massFilterMin && d.mass_msun <= massFilterMax) s.material.color.set(massRangeColor);
-            else s.material.color.set(DEFAULT_COLOR);
-            s.material.opacity = 1.0;
+            if (highlightedBhId === d.bh_id) s.color.set(highlightColor);
+            else if (massFilterMin !== null && massFilterMax !== null && d.mass_msun >= massFilterMin && d.mass_msun <= massFilterMax) s.color.set(massRangeColor);
+            else s.color.set(DEFAULT_COLOR);
+            s.opacity = 1.0;
         });
         if (highlightedBhId !== null) drawVel(highlightedBhId, bhs, com, highlightColor, 20.0);
     }
-    if (isCameraTracking && !renderer.xr.isPresenting) {
+    if (ui && isCameraTracking && !renderer.xr.isPresenting) {
         let tp = null;
         if (highlightedBhId !== null) { const o = bhObjects.get(highlightedBhId); if (o) tp = o.position; }
         else if (selectedEvent) {
@@ -274,42 +1114,846 @@ function updateBlackHoles(idx) {
         }
         cameraTargetGoal.lerp(tp || new THREE.Vector3(), 0.1);
     }
-    updateNS(time, com);
+    updateNS(nsList, com);
+    updateStars(idx, interp ? frac : 0, com);
+    updateOrbitPanel(idx, bhs, nsList, com);
+    drawDetectedBinaries(idx, bhs, nsList, com);
+    updateDiagnostics(idx);
+    updateInspector(idx, interp ? frac : 0, bhs, nsList);
+    syncLayer(bhLayer); syncLayer(nsLayer);
+    updateTrails(idx, interp);
 }
 
-function drawOrbit(id1, id2, data, com, col) {
-    const b1 = data.find(b => b.bh_id === id1), b2 = data.find(b => b.bh_id === id2);
-    if (!b1 || !b2) return;
+function trailIds(idx) {
+    const cur = storeSnapshot(timeData, timeKeys[idx]);
+    if (trailMode === 'highlight') return highlightedBhId !== null ? [highlightedBhId] : [];
+    if (trailMode === 'event') return selectedEvent ? [selectedEvent.id1, selectedEvent.id2, selectedEvent.id3, selectedEvent.id4].filter(id => Number.isFinite(id)) : [];
+    if (trailMode === 'mass') return massFilterMin !== null && massFilterMax !== null ? cur.filter(b => b.mass_msun >= massFilterMin && b.mass_msun <= massFilterMax).map(b => b.bh_id) : [];
+    return cur.map(b => b.bh_id);
+}
+
+// One Line per particle, sized for the longest trail (trailLength snapshots back, the current one and the interpolated head) and refilled in place
+function trailLine(key) {
+    const capacity = trailLength + 2;
+    let l = trailObjects.get(key);
+    if (l && l.geometry.attributes.position.count === capacity) return l;
+    const g = new THREE.BufferGeometry();
+    g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    g.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 4), 4).setUsage(THREE.DynamicDrawUsage));
+    if (l) { l.geometry.dispose(); l.geometry = g; return l; }
+    l = new THREE.Line(g, TRAIL_MATERIAL);
+    // The points move every frame, so a bounding sphere computed once would cull the trail wrongly
+    l.frustumCulled = false;
+    clusterRoot.add(l); trailObjects.set(key, l);
+    return l;
+}
+
+function buildTrail(ids, store, idx, objects, baseColor, withHead) {
+    const from = Math.max(0, idx - trailLength);
+    const snaps = timeKeys.slice(from, idx + 1).map(t => ({ t, com: computeCom(t) }));
+    ids.forEach(id => {
+        const o = objects.get(id);
+        const pts = [];
+        snaps.forEach(({ t, com }, i) => {
+            const k = storeFind(store, t, id);
+            if (k >= 0) pts.push([store.pos[k * 3] - com.x, store.pos[k * 3 + 1] - com.y, store.pos[k * 3 + 2] - com.z, i]);
+        });
+        if (withHead && o) pts.push([o.position.x, o.position.y, o.position.z, snaps.length - 1]);
+        if (!o || pts.length < 2) return;
+        const col = o.color.equals(DEFAULT_COLOR) || o.color.equals(NS_COLOR) ? baseColor : o.color, op = o.visible ? o.opacity : 0;
+        const l = trailLine(`${store.idKey}-${id}`), { position, color } = l.geometry.attributes;
+        pts.forEach(([x, y, z, i], j) => {
+            position.setXYZ(j, x, y, z);
+            // Fade from transparent at the oldest snapshot to the particle's opacity at the current one
+            color.setXYZW(j, col.r, col.g, col.b, op * (i + 1) / snaps.length);
+        });
+        position.needsUpdate = true; color.needsUpdate = true;
+        l.geometry.setDrawRange(0, pts.length);
+        l.visible = true;
+    });
+}
+
+// Trails not drawn this frame are hidden rather than freed, so a particle's Line is reused once it is back in view
+function updateTrails(idx, withHead) {
+    trailObjects.forEach(l => { l.visible = false; });
+    if (!showTrails || trailLength < 1) return;
+    const ids = trailIds(idx);
+    buildTrail(ids, timeData, idx, bhObjects, TRAIL_DEFAULT_COLOR, withHead);
+    if (document.getElementById('ns-visible-checkbox').checked) {
+        const nsIds = trailMode === 'all' ? [...nsObjects.keys()] : ids.filter(id => nsObjects.has(id));
+        buildTrail(nsIds, nsData, idx, nsObjects, NS_TRAIL_COLOR, withHead);
+    }
+}
+
+// Two-body elements of the pair's relative orbit, with the same G and energy criterion drawOrbit uses
+function orbitalElements(b1, b2) {
     const m1 = b1.mass_msun, m2 = b2.mass_msun, M = m1 + m2;
     const r1 = new THREE.Vector3(b1.x, b1.y, b1.z), r2 = new THREE.Vector3(b2.x, b2.y, b2.z), relR = r1.clone().sub(r2);
     const v1 = new THREE.Vector3(b1.vx, b1.vy, b1.vz), v2 = new THREE.Vector3(b2.vx, b2.vy, b2.vz), relV = v1.clone().sub(v2);
     const h = new THREE.Vector3().crossVectors(relR, relV), en = 0.5 * relV.lengthSq() - (G * M / relR.length());
-    if (en < 0) {
-        const a = -G * M / (2 * en), ev = relV.clone().cross(h).divideScalar(G * M).sub(relR.clone().normalize()), e = ev.length();
-        if (e < 1) {
-            const b = a * Math.sqrt(1 - e * e), cp = r1.clone().multiplyScalar(m1).add(r2.clone().multiplyScalar(m2)).divideScalar(M);
-            const q = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0,0,1), h.clone().normalize());
-            const ang = new THREE.Vector3(1,0,0).applyQuaternion(q).angleTo(ev) * Math.sign(h.clone().normalize().dot(new THREE.Vector3(1,0,0).applyQuaternion(q).cross(ev)));
-            [m2/M, m1/M].forEach((s, i) => {
-                const l = new THREE.Line(new THREE.BufferGeometry().setFromPoints(new THREE.EllipseCurve(-a * s * e, 0, a * s, b * s, 0, 2 * Math.PI).getPoints(64)), new THREE.LineBasicMaterial({ color: col }));
-                l.position.copy(cp).sub(com); l.quaternion.copy(q); l.rotateOnAxis(new THREE.Vector3(0,0,1), ang + i * Math.PI);
-                scene.add(l); ellipseObjects.set(`${id1}-${id2}-${i}`, l);
-            });
+    const ev = relV.clone().cross(h).divideScalar(G * M).sub(relR.clone().normalize()), e = ev.length();
+    const a = -G * M / (2 * en), bound = en < 0 && e < 1;
+    return {
+        m1, m2, M, r1, r2, relR, relV, h, ev, e, a, bound, energy: en,
+        state: bound ? 'bound' : (Math.abs(e - 1) < 1e-3 ? 'parabolic' : 'hyperbolic'),
+        period: bound ? 2 * Math.PI * Math.sqrt(a ** 3 / (G * M)) : NaN,
+        bindingEnergy: -en * m1 * m2 / M,
+        inclination: THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(h.z / h.length(), -1, 1))),
+        pericentre: bound || en > 0 ? a * (1 - e) : h.lengthSq() / (2 * G * M),
+        separation: relR.length()
+    };
+}
+
+function drawOrbit(id1, id2, data, com, col) {
+    const b1 = findById(data, id1), b2 = findById(data, id2);
+    if (!b1 || !b2) return null;
+    return drawOrbitRows(b1, b2, com, col, `${id1}-${id2}`);
+}
+
+function drawOrbitRows(b1, b2, com, col, key) {
+    const el = orbitalElements(b1, b2);
+    if (el.bound) {
+        const { a, e, h, ev, r1, r2, m1, m2, M } = el;
+        const b = a * Math.sqrt(1 - e * e), cp = r1.clone().multiplyScalar(m1).add(r2.clone().multiplyScalar(m2)).divideScalar(M);
+        const q = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0,0,1), h.clone().normalize());
+        const ang = new THREE.Vector3(1,0,0).applyQuaternion(q).angleTo(ev) * Math.sign(h.clone().normalize().dot(new THREE.Vector3(1,0,0).applyQuaternion(q).cross(ev)));
+        [m2/M, m1/M].forEach((s, i) => {
+            const l = new THREE.Line(new THREE.BufferGeometry().setFromPoints(new THREE.EllipseCurve(-a * s * e, 0, a * s, b * s, 0, 2 * Math.PI).getPoints(64)), new THREE.LineBasicMaterial({ color: col }));
+            l.position.copy(cp).sub(com); l.quaternion.copy(q); l.rotateOnAxis(new THREE.Vector3(0,0,1), ang + i * Math.PI);
+            clusterRoot.add(l); ellipseObjects.set(`${key}-${i}`, l);
+        });
+    }
+    return el;
+}
+
+function formatElements(el) {
+    const fmt = v => Number.isFinite(v) ? (Math.abs(v) >= 1e4 || Math.abs(v) < 1e-2 ? v.toExponential(2) : v.toFixed(3)) : '—';
+    const lines = [`State: ${el.state}${el.bound ? '' : ' (unbound)'}`];
+    if (el.bound) lines.push(`a   = ${fmt(el.a)} pc (${fmt(el.a * PC_IN_AU)} AU)`);
+    else lines.push(`a   = ${fmt(el.a)} pc (E > 0)`);
+    lines.push(
+        `e   = ${fmt(el.e)}`,
+        `P   = ${el.bound ? `${fmt(el.period * 1e6)} yr` : '—'}`,
+        `E_b = ${fmt(el.bindingEnergy)} Msun pc²/Myr² (${fmt(el.bindingEnergy * ENERGY_UNIT_ERG)} erg)`,
+        `i   = ${fmt(el.inclination)}°`,
+        `r_p = ${fmt(el.pericentre)} pc`,
+        `r   = ${fmt(el.separation)} pc`
+    );
+    return lines.join('\n');
+}
+
+function findParticle(id, bhData, nsList) {
+    return findById(bhData, id) || findById(nsList, id);
+}
+
+function particleKind(id, time) {
+    if (storeFind(timeData, time, id) >= 0) return 'BH';
+    if (storeFind(nsData, time, id) >= 0) return 'NS';
+    return '?';
+}
+
+// Elements of the pair at every snapshot, for the sparklines; null where either member is missing
+function orbitSeries(id1, id2) {
+    const key = `${id1}-${id2}`;
+    if (orbitSeriesCache.has(key)) return orbitSeriesCache.get(key);
+    const look = (id, t) => storeLookup(timeData, t, id) || storeLookup(nsData, t, id);
+    const series = timeKeys.map(t => {
+        const b1 = look(id1, t), b2 = look(id2, t);
+        return b1 && b2 ? orbitalElements(b1, b2) : null;
+    });
+    orbitSeriesCache.set(key, series);
+    return series;
+}
+
+function drawSparkline(canvas, values, idx, unbound, log) {
+    const ctx = canvas.getContext('2d'), w = canvas.width, h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    const ys = values.map(v => (v === null || !Number.isFinite(v) || (log && v <= 0)) ? NaN : (log ? Math.log10(v) : v));
+    const finite = ys.filter(Number.isFinite);
+    if (finite.length === 0) return;
+    const lo = Math.min(...finite), hi = Math.max(...finite), span = hi - lo || 1;
+    const px = i => (i / Math.max(1, ys.length - 1)) * (w - 1), py = y => h - 2 - ((y - lo) / span) * (h - 4);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#333';
+    ctx.beginPath();
+    let pen = false;
+    ys.forEach((y, i) => {
+        if (!Number.isFinite(y)) { pen = false; return; }
+        pen ? ctx.lineTo(px(i), py(y)) : ctx.moveTo(px(i), py(y));
+        pen = true;
+    });
+    ctx.stroke();
+    ctx.fillStyle = '#ff3131';
+    unbound.forEach((u, i) => { if (u) ctx.fillRect(px(i), h - 2, 1, 2); });
+    ctx.strokeStyle = '#0000ff';
+    ctx.beginPath(); ctx.moveTo(px(idx), 0); ctx.lineTo(px(idx), h); ctx.stroke();
+}
+
+function updateOrbitPanel(idx, bhData, nsList, com) {
+    const out = document.getElementById('orbit-readout'), sparks = document.getElementById('orbit-sparklines'), ui = boundRun === activeRun;
+    if (!orbitPair) { if (ui) { out.textContent = ''; sparks.style.display = 'none'; } return; }
+    const [id1, id2] = orbitPair, time = timeKeys[idx];
+    const b1 = findParticle(id1, bhData, nsList), b2 = findParticle(id2, bhData, nsList);
+    if (!ui) { if (b1 && b2) drawOrbitRows(b1, b2, com, ORBIT_PANEL_COLOR, `pair-${id1}-${id2}`); return; }
+    const head = `Pair ${id1} – ${id2} (${particleKind(id1, time)}–${particleKind(id2, time)})`;
+    if (!b1 || !b2) out.textContent = `${head}\n${!b1 ? id1 : id2} not present at this time`;
+    else out.textContent = `${head}\n${formatElements(drawOrbitRows(b1, b2, com, ORBIT_PANEL_COLOR, `pair-${id1}-${id2}`))}`;
+    const series = orbitSeries(id1, id2), unbound = series.map(el => el !== null && !el.bound);
+    sparks.style.display = '';
+    ORBIT_SPARKLINES.forEach(([key, , log]) => {
+        const values = series.map(el => el && (el.bound || !['a', 'period'].includes(key)) ? el[key] : null);
+        drawSparkline(document.getElementById(`orbit-spark-${key}`), values, idx, unbound, log);
+    });
+}
+
+function setOrbitPair(id1, id2) {
+    orbitPair = Number.isFinite(id1) && Number.isFinite(id2) && id1 !== id2 ? [id1, id2] : null;
+    document.getElementById('orbit-id1-input').value = Number.isFinite(id1) ? id1 : '';
+    document.getElementById('orbit-id2-input').value = Number.isFinite(id2) ? id2 : '';
+}
+
+// Velocity dispersion (1D) and mean mass of the nearest neighbours of a point, over every loaded layer
+function localDispersion(time, p, excludeIds) {
+    const near = [];
+    [timeData, nsData, starData].forEach(store => {
+        const i = store.timeIndex.get(time);
+        if (i === undefined) return;
+        for (let k = store.offsets[i]; k < store.offsets[i + 1]; k++) {
+            if (excludeIds.includes(store.ids[k])) continue;
+            const d2 = (store.pos[k * 3] - p.x) ** 2 + (store.pos[k * 3 + 1] - p.y) ** 2 + (store.pos[k * 3 + 2] - p.z) ** 2;
+            if (near.length === DISPERSION_NEIGHBOURS && d2 >= near[near.length - 1].d2) continue;
+            const entry = { d2, store, k };
+            let j = near.length; near.push(entry);
+            while (j > 0 && near[j - 1].d2 > d2) { near[j] = near[j - 1]; j--; }
+            near[j] = entry;
+            if (near.length > DISPERSION_NEIGHBOURS) near.pop();
+        }
+    });
+    if (near.length < 2) return null;
+    const mean = [0, 0, 0];
+    let mass = 0;
+    near.forEach(({ store, k }) => { for (let a = 0; a < 3; a++) mean[a] += store.vel[k * 3 + a] / near.length; mass += store.mass[k] / near.length; });
+    let s2 = 0;
+    near.forEach(({ store, k }) => { for (let a = 0; a < 3; a++) s2 += (store.vel[k * 3 + a] - mean[a]) ** 2; });
+    return { sigma: Math.sqrt(s2 / (3 * (near.length - 1))), meanMass: mass, nearest: Math.sqrt(near[0].d2) };
+}
+
+// Bound BH/NS pairs in one snapshot; each particle is paired with at most one partner, most bound first,
+// and pairs whose apocentre reaches past the nearest third body are not counted as binaries
+function findBinaries(time) {
+    const rows = [...storeSnapshot(timeData, time), ...storeSnapshot(nsData, time)], cand = [];
+    for (let i = 0; i < rows.length; i++) {
+        const a = rows[i];
+        for (let j = i + 1; j < rows.length; j++) {
+            const b = rows[j];
+            const r = Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z), v2 = (a.vx - b.vx) ** 2 + (a.vy - b.vy) ** 2 + (a.vz - b.vz) ** 2;
+            if (r > 0 && 0.5 * v2 - G * (a.mass_msun + b.mass_msun) / r < 0) {
+                const el = orbitalElements(a, b);
+                if (el.bound) cand.push({ a, b, el });
+            }
         }
     }
+    cand.sort((p, q) => q.el.bindingEnergy - p.el.bindingEnergy);
+    const used = new Set(), found = [];
+    cand.forEach(({ a, b, el }) => {
+        const id1 = a.bh_id ?? a.ns_id, id2 = b.bh_id ?? b.ns_id;
+        if (used.has(id1) || used.has(id2)) return;
+        const cm = el.r1.clone().multiplyScalar(el.m1).add(el.r2.clone().multiplyScalar(el.m2)).divideScalar(el.M);
+        const disp = localDispersion(time, cm, [id1, id2]);
+        if (disp && el.a * (1 + el.e) > disp.nearest) return;
+        used.add(id1); used.add(id2);
+        const hardness = disp && disp.sigma > 0 ? el.bindingEnergy / (disp.meanMass * disp.sigma ** 2) : Infinity;
+        const kind = [a, b].map(p => p.bh_id !== undefined ? 'BH' : 'NS').sort().join('–');
+        found.push({ id1: Math.min(id1, id2), id2: Math.max(id1, id2), kind, el, cm, hardness, hard: hardness > 1 });
+    });
+    return found;
 }
 
-function updateNS(t, com) {
-    const cur = nsData.get(t) || [], ids = new Set(cur.map(n => n.ns_id));
-    nsObjects.forEach((o, id) => { if (!ids.has(id)) { cleanup(o); nsObjects.delete(id); } });
-    cur.forEach(n => {
-        let s = nsObjects.get(n.ns_id);
-        if (!s) {
-            s = new THREE.Mesh(new THREE.SphereGeometry(0.01, 32, 32), new THREE.MeshPhysicalMaterial({ color: 0xffa500, emissive: 0xff4500, emissiveIntensity: 2.0, transparent: true }));
-            nsObjects.set(n.ns_id, s); scene.add(s);
+// Scans the run that was active when the scan started; each batch binds that run, so switching runs mid-scan is safe
+async function scanBinaries() {
+    const run = activeRun, status = document.getElementById('binary-status');
+    const token = withRun(run, () => ++binaryScanToken), snapshots = [], pairs = new Map();
+    let done = false;
+    for (let i = 0, stop = false; !stop; i += BINARY_SCAN_BATCH) {
+        stop = withRun(run, () => {
+            if (token !== binaryScanToken) return true;
+            for (let j = i; j < Math.min(i + BINARY_SCAN_BATCH, timeKeys.length); j++) {
+                const found = findBinaries(timeKeys[j]);
+                snapshots.push(found);
+                found.forEach(b => {
+                    const key = `${b.id1}-${b.id2}`;
+                    if (!pairs.has(key)) pairs.set(key, { ...b, key, first: j, last: j, count: 0 });
+                    const p = pairs.get(key);
+                    p.last = j; p.count++;
+                });
+            }
+            if (i + BINARY_SCAN_BATCH >= timeKeys.length) {
+                binaryCatalog = { snapshots, pairs: [...pairs.values()] };
+                binaryCatalog.summary = `${binaryCatalog.pairs.length} binaries in ${timeKeys.length} snapshots (${binaryCatalog.pairs.filter(p => p.hard).length} hard at first detection)`;
+                return done = true;
+            }
+            if (run === activeRun) status.textContent = `Scanning snapshot ${i + BINARY_SCAN_BATCH}/${timeKeys.length}...`;
+            return false;
+        });
+        if (!stop) await new Promise(r => setTimeout(r));
+    }
+    if (!done) return;
+    if (run !== activeRun) { run.dirty = true; return; }
+    status.textContent = binaryCatalog.summary;
+    renderBinaryTable();
+    renderAtTime(playbackTime, true);
+}
+
+function renderBinaryTable() {
+    const table = document.getElementById('binary-table');
+    table.innerHTML = '';
+    if (!binaryCatalog) return;
+    const currentOnly = document.getElementById('binary-current-checkbox').checked;
+    binaryCatalog.tableIdx = currentOnly ? currentIdx : null;
+    const rows = currentOnly
+        ? (binaryCatalog.snapshots[currentIdx] || []).map(b => ({ ...b, ...binaryCatalog.pairs.find(p => p.id1 === b.id1 && p.id2 === b.id2), el: b.el, hardness: b.hardness, hard: b.hard }))
+        : [...binaryCatalog.pairs];
+    const [key, dir] = binarySort;
+    const val = r => ({ pair: r.id1, type: r.kind, first: r.first, span: r.last - r.first, a: r.el.a, e: r.el.e, x: r.hardness })[key];
+    rows.sort((p, q) => (val(p) < val(q) ? -1 : val(p) > val(q) ? 1 : 0) * dir);
+    const head = table.insertRow();
+    BINARY_TABLE_COLUMNS.forEach(([k, label]) => {
+        const th = document.createElement('th');
+        th.textContent = label + (k === key ? (dir > 0 ? ' ▲' : ' ▼') : '');
+        th.addEventListener('click', () => { binarySort = [k, k === key ? -dir : 1]; renderBinaryTable(); });
+        head.appendChild(th);
+    });
+    rows.forEach(r => {
+        const tr = table.insertRow();
+        tr.className = r.hard ? 'binary-hard' : 'binary-soft';
+        [`${r.id1}–${r.id2}`, r.kind, timeKeys[r.first].toFixed(0), `${(timeKeys[r.last] - timeKeys[r.first]).toFixed(0)}`, r.el.a.toExponential(2), r.el.e.toFixed(2), Number.isFinite(r.hardness) ? r.hardness.toFixed(1) : '∞']
+            .forEach(t => { tr.insertCell().textContent = t; });
+        tr.addEventListener('click', () => jumpToBinary(r, currentOnly ? currentIdx : r.first));
+    });
+}
+
+function jumpToBinary(b, idx) {
+    isPlaying = false;
+    document.getElementById('play-pause-btn').textContent = 'Play';
+    const found = (binaryCatalog.snapshots[idx] || []).find(x => x.id1 === b.id1 && x.id2 === b.id2) || b;
+    const target = found.cm.clone().sub(computeCom(timeKeys[idx]));
+    if (!renderer.xr.isPresenting) {
+        const offset = camera.position.clone().sub(controls.target).setLength(BINARY_CAMERA_DISTANCE);
+        controls.target.copy(target); cameraTargetGoal.copy(target);
+        camera.position.copy(target).add(offset);
+        controls.update();
+    }
+    setOrbitPair(b.id1, b.id2);
+    updateBlackHoles(idx);
+}
+
+function drawDetectedBinaries(idx, bhData, nsList, com) {
+    if (!binaryCatalog) return;
+    // The current-snapshot table only changes with the snapshot, not with interpolation inside it
+    if (boundRun === activeRun && document.getElementById('binary-current-checkbox').checked && binaryCatalog.tableIdx !== idx) renderBinaryTable();
+    if (!document.getElementById('binary-orbit-checkbox').checked) return;
+    (binaryCatalog.snapshots[idx] || []).forEach(b => {
+        const r1 = findParticle(b.id1, bhData, nsList), r2 = findParticle(b.id2, bhData, nsList);
+        if (r1 && r2) drawOrbitRows(r1, r2, com, b.hard ? HARD_BINARY_COLOR : SOFT_BINARY_COLOR, `bin-${b.id1}-${b.id2}`);
+    });
+}
+
+// The k rows closest to `a`, kept in a small sorted buffer rather than sorting every distance
+function nearestNeighbours(a, rows, k) {
+    const near = [];
+    rows.forEach(b => {
+        if (b === a) return;
+        const d2 = a.p.distanceToSquared(b.p);
+        if (near.length === k) { if (d2 >= near[k - 1].d2) return; near.pop(); }
+        let i = near.length;
+        while (i > 0 && near[i - 1].d2 > d2) i--;
+        near.splice(i, 0, { d2, m: b.m });
+    });
+    return near;
+}
+
+// Per-snapshot cluster diagnostics over the BHs and NSs, measured from the same CoM as the CoM frame
+function snapshotDiagnostics(time) {
+    const com = clusterCom(time), rows = [];
+    let tm = 0;
+    const vcm = new THREE.Vector3();
+    [[timeData, 'bh'], [nsData, 'ns']].forEach(([store, kind]) => {
+        const i = store.timeIndex.get(time);
+        if (i === undefined) return;
+        for (let k = store.offsets[i]; k < store.offsets[i + 1]; k++) {
+            const m = store.mass[k], p = new THREE.Vector3().fromArray(store.pos, k * 3).sub(com), v = new THREE.Vector3().fromArray(store.vel, k * 3);
+            rows.push({ kind, m, p, v, r: p.length() });
+            tm += m; vcm.addScaledVector(v, m);
         }
+    });
+    if (tm > 0) vcm.divideScalar(tm);
+    rows.sort((a, b) => a.r - b.r);
+    const d = { nBh: rows.filter(r => r.kind === 'bh').length, nNs: rows.filter(r => r.kind === 'ns').length, ke: 0 };
+    let cum = 0;
+    rows.forEach(r => {
+        cum += r.m;
+        LAGRANGIAN_FRACTIONS.forEach(f => { if (d[`r${f}`] === undefined && cum >= f / 100 * tm) d[`r${f}`] = r.r; });
+        d.ke += 0.5 * r.m * r.v.clone().sub(vcm).lengthSq() * ENERGY_UNIT_ERG;
+    });
+    // Casertano & Hut density-weighted core radius, density from the distance to the 6th nearest neighbour
+    let wr = 0, w = 0;
+    if (rows.length > CORE_NEIGHBOURS) rows.forEach(a => {
+        const near = nearestNeighbours(a, rows, CORE_NEIGHBOURS);
+        const rho = near.slice(0, -1).reduce((s, n) => s + n.m, 0) / Math.sqrt(near[near.length - 1].d2) ** 3;
+        wr += rho * a.r; w += rho;
+    });
+    d.rc = w > 0 ? wr / w : null;
+    // Mean BH mass in equal-count radial shells, for mass segregation
+    const bhs = rows.filter(r => r.kind === 'bh'), per = Math.ceil(bhs.length / SEGREGATION_BINS);
+    d.profile = [];
+    for (let i = 0; i < bhs.length; i += per) {
+        const shell = bhs.slice(i, i + per);
+        d.profile.push({ r: shell.reduce((s, b) => s + b.r, 0) / shell.length, m: shell.reduce((s, b) => s + b.m, 0) / shell.length });
+    }
+    return d;
+}
+
+function drawChart(canvas, series, idx, log) {
+    const ctx = canvas.getContext('2d'), w = canvas.width, h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    const tf = v => (v === null || v === undefined || !Number.isFinite(v) || (log && v <= 0)) ? NaN : (log ? Math.log10(v) : v);
+    const finite = series.flatMap(s => s.values.map(tf)).filter(Number.isFinite);
+    if (finite.length === 0) return;
+    const lo = Math.min(...finite), hi = Math.max(...finite), span = hi - lo || 1;
+    const px = i => (i / Math.max(1, series[0].values.length - 1)) * (w - 1), py = y => h - 2 - ((y - lo) / span) * (h - 14);
+    ctx.lineWidth = 1;
+    series.forEach(({ values, color }) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        let pen = false;
+        values.forEach((v, i) => {
+            const y = tf(v);
+            if (!Number.isFinite(y)) { pen = false; return; }
+            pen ? ctx.lineTo(px(i), py(y)) : ctx.moveTo(px(i), py(y));
+            pen = true;
+        });
+        ctx.stroke();
+    });
+    const fmt = v => Math.abs(v) >= 1e4 || (Math.abs(v) < 1e-2 && v !== 0) ? v.toExponential(1) : +v.toFixed(2);
+    ctx.fillStyle = '#aaa'; ctx.font = '9px monospace';
+    ctx.fillText(`${fmt(log ? 10 ** lo : lo)} – ${fmt(log ? 10 ** hi : hi)}`, 2, 9);
+    if (idx === null) return;
+    ctx.strokeStyle = '#ffffff';
+    ctx.beginPath(); ctx.moveTo(px(idx), 0); ctx.lineTo(px(idx), h); ctx.stroke();
+}
+
+// Fills the run's diagnostics series in batches like scanBinaries; a reset replaces `diagnostics`, which abandons the old job
+async function computeDiagnostics() {
+    const run = boundRun, series = diagnostics = [];
+    series.complete = !timeKeys.length;
+    while (!series.complete) {
+        await new Promise(r => setTimeout(r));
+        const stale = withRun(run, () => {
+            if (diagnostics !== series) return true;
+            timeKeys.slice(series.length, series.length + DIAGNOSTIC_BATCH).forEach(t => series.push(snapshotDiagnostics(t)));
+            series.complete = series.length >= timeKeys.length;
+            if (run === activeRun) updateDiagnostics(currentIdx);
+        });
+        if (stale) return;
+    }
+}
+
+function updateDiagnostics(idx) {
+    const panel = document.getElementById('diagnostics');
+    if (!panel || panel.style.display !== 'block' || boundRun !== activeRun) return;
+    if (!diagnostics) computeDiagnostics();
+    document.getElementById('diag-status').textContent = diagnostics.complete ? '' : `Computing snapshot ${diagnostics.length}/${timeKeys.length}...`;
+    if (!diagnostics.complete) return;
+    DIAGNOSTIC_CHARTS.forEach(([key, , keys, log]) => {
+        drawChart(document.getElementById(`diag-${key}`), keys.map(([k, color]) => ({ values: diagnostics.map(d => d[k]), color })), idx, log);
+    });
+    const profile = diagnostics[idx] ? diagnostics[idx].profile : [];
+    drawChart(document.getElementById('diag-segregation'), [{ values: profile.map(p => p.m), color: '#cccccc' }], null, false);
+    document.getElementById('diag-segregation-range').textContent = profile.length ? `r = ${profile[0].r.toFixed(2)} → ${profile[profile.length - 1].r.toFixed(2)} pc` : '';
+}
+
+// Selects a BH or NS for the inspector and highlights it until closeInspector; its per-snapshot rows are gathered once here
+function inspectParticle(id, kind) {
+    const store = kind === 'NS' ? nsData : timeData, rows = timeKeys.map(t => storeLookup(store, t, id) || null);
+    const series = rows.map((r, i) => r && { mass: r.mass_msun, r: clusterCom(timeKeys[i]).distanceTo(new THREE.Vector3(r.x, r.y, r.z)), speed: Math.hypot(r.vx, r.vy, r.vz) });
+    const prevHighlight = inspected ? inspected.prevHighlight : document.getElementById('highlight-bh-input').value;
+    inspected = { id, kind, rows, series, prevHighlight, events: interactionEvents.filter(e => [e.id1, e.id2, e.id3, e.id4].includes(id)).sort((a, b) => a.time - b.time) };
+    document.getElementById('highlight-bh-input').value = id; highlightedBhId = id;
+    renderInspectorEvents();
+    renderAtTime(playbackTime, true);
+}
+
+// Gives back the highlight the inspector took over, unless it was changed while the inspector was open
+function closeInspector() {
+    const restore = inspected && highlightedBhId === inspected.id ? inspected.prevHighlight : undefined;
+    inspected = null;
+    document.getElementById('inspector').style.display = 'none';
+    setControl('highlight-bh-input', 'value', restore, 'input');
+}
+
+function renderInspectorEvents() {
+    const list = document.getElementById('inspector-events');
+    list.innerHTML = '';
+    if (!inspected) return;
+    if (!inspected.events.length) list.textContent = 'No recorded events';
+    inspected.events.forEach(e => {
+        const item = document.createElement('div');
+        item.textContent = eventLabel(e); item.className = 'inspector-event';
+        item.style.borderLeft = `3px solid ${EVENT_TYPE_COLORS[e.type]}`;
+        item.addEventListener('click', () => selectEvent(interactionEvents.indexOf(e)));
+        list.appendChild(item);
+    });
+}
+
+function updateInspector(idx, frac, bhData, nsList) {
+    if (boundRun !== activeRun) return;
+    const panel = document.getElementById('inspector');
+    panel.style.display = inspected ? 'block' : 'none';
+    if (!inspected) return;
+    const { id, kind, series } = inspected, d = findById(kind === 'NS' ? nsList : bhData, id);
+    const time = frac > 0 ? timeKeys[idx] + frac * (timeKeys[idx + 1] - timeKeys[idx]) : timeKeys[idx];
+    document.getElementById('inspector-title').textContent = `${kind} ${id}`;
+    const out = document.getElementById('inspector-row');
+    if (!d) out.textContent = `Not present at ${time.toFixed(2)} Myr`;
+    else {
+        const com = frac > 0 ? clusterCom(timeKeys[idx]).lerp(clusterCom(timeKeys[idx + 1]), frac) : clusterCom(time), v = Math.hypot(d.vx, d.vy, d.vz);
+        const vec = (a, b, c) => `(${a.toFixed(3)}, ${b.toFixed(3)}, ${c.toFixed(3)})`;
+        out.textContent = [
+            `t     = ${d.time_myr.toFixed(2)} Myr`,
+            `m     = ${d.mass_msun.toFixed(3)} Msun`,
+            `x     = ${vec(d.x, d.y, d.z)} pc`,
+            `v     = ${vec(d.vx, d.vy, d.vz)} pc/Myr`,
+            `r_CoM = ${com.distanceTo(new THREE.Vector3(d.x, d.y, d.z)).toFixed(3)} pc`,
+            `|v|   = ${v.toFixed(3)} pc/Myr (${(v * PC_PER_MYR_IN_KMS).toFixed(2)} km/s)`,
+            ...(kind === 'BH' ? [`a     = ${bhSpin(d).toFixed(3)}`] : [])
+        ].join('\n');
+    }
+    INSPECTOR_CHARTS.forEach(([key, , color]) => drawChart(document.getElementById(`inspector-${key}`), [{ values: series.map(p => p && p[key]), color }], idx, false));
+}
+
+// The inspected particle's rows at every snapshot it appears in, in the history file's own columns
+function exportTrajectory(format) {
+    if (!inspected) return;
+    // Masses, positions and velocities are stored as float32; round them back to the precision they were read with
+    const idKey = inspected.kind === 'NS' ? 'ns_id' : 'bh_id', name = `${inspected.kind.toLowerCase()}_${inspected.id}_trajectory`;
+    const rows = inspected.rows.filter(Boolean).map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [k, k === 'time_myr' || k === idKey || Number.isNaN(v) ? v : +v.toPrecision(7)])));
+    if (format === 'json') return downloadBlob(new Blob([JSON.stringify(rows, null, 2)], { type: 'application/json' }), `${name}.json`);
+    const keys = Object.keys(rows[0] || {}), cell = v => Number.isNaN(v) ? '' : v;
+    downloadBlob(new Blob([[keys.join(','), ...rows.map(r => keys.map(k => cell(r[k])).join(','))].join('\n') + '\n'], { type: 'text/csv' }), `${name}.csv`);
+}
+
+// Width in pixels of the 10 pc scale bar for a viewport `width` pixels wide
+function scaleBarPixels(width) {
+    return (10 / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * camera.position.length() * camera.aspect)) * width;
+}
+
+function exportOptions() {
+    const num = id => parseFloat(document.getElementById(id).value), transparentBox = document.getElementById('export-transparent-checkbox');
+    return {
+        width: Math.round(num('export-width-input')) || window.innerWidth,
+        height: Math.round(num('export-height-input')) || window.innerHeight,
+        fps: num('export-fps-input') || 30,
+        start: Number.isFinite(num('export-start-input')) ? num('export-start-input') : timeKeys[0],
+        end: Number.isFinite(num('export-end-input')) ? num('export-end-input') : timeKeys[timeKeys.length - 1],
+        transparent: transparentBox.checked && !transparentBox.disabled,
+        timeLabel: document.getElementById('export-time-checkbox').checked,
+        scaleBar: document.getElementById('export-scale-checkbox').checked
+    };
+}
+
+// Renders one frame at the export resolution into the 2D canvas behind `ctx`, with the optional burned-in overlays
+function renderExportFrame(ctx, opts) {
+    const { width: w, height: h } = opts;
+    syncRuns();
+    renderViews(w, h);
+    ctx.clearRect(0, 0, w, h);
+    ctx.drawImage(renderer.domElement, 0, 0, w, h);
+    const fg = opts.transparent || scene.background.r < 0.5 ? '#ffffff' : '#000000', px = Math.max(12, Math.round(h / 40));
+    ctx.fillStyle = fg; ctx.strokeStyle = fg; ctx.font = `${px}px monospace`;
+    if (opts.timeLabel) ctx.fillText(`${playbackTime.toFixed(2)} Myr`, px, px * 2);
+    if (opts.scaleBar && camera.position.length() > 0) {
+        const bw = scaleBarPixels(w / viewCount()), x = w - px * 2 - bw, y = h - px * 3;
+        ctx.lineWidth = Math.max(1, px / 12);
+        ctx.beginPath(); ctx.moveTo(x, y - px / 3); ctx.lineTo(x, y); ctx.lineTo(x + bw, y); ctx.lineTo(x + bw, y - px / 3); ctx.stroke();
+        ctx.textAlign = 'center'; ctx.fillText('10 pc', x + bw / 2, y + px * 1.2); ctx.textAlign = 'left';
+    }
+}
+
+// Switches the renderer to the export size and background for the duration of `job`, pausing the realtime loop
+async function withExportState(opts, job) {
+    const size = renderer.getSize(new THREE.Vector2()), aspect = camera.aspect, background = scene.background, time = playbackTime;
+    exporting = true;
+    try {
+        renderer.setSize(opts.width, opts.height, false);
+        camera.aspect = opts.width / viewCount() / opts.height; camera.updateProjectionMatrix();
+        if (opts.transparent) scene.background = null;
+        const canvas = document.createElement('canvas');
+        canvas.width = opts.width; canvas.height = opts.height;
+        return await job(canvas, canvas.getContext('2d'));
+    } finally {
+        scene.background = background;
+        renderer.setSize(size.x, size.y, false);
+        camera.aspect = aspect; camera.updateProjectionMatrix();
+        renderAtTime(time, true);
+        exporting = false;
+    }
+}
+
+function downloadBlob(blob, name) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob); a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+const canvasBlob = canvas => new Promise(r => canvas.toBlob(r, 'image/png'));
+
+// First WebCodecs config the browser can encode at the export size (keeping alpha if transparent), with the matching WebM codec id
+async function webmEncoderConfig(opts) {
+    if (!window.VideoEncoder) return null;
+    for (const [codec, muxCodec] of EXPORT_WEBM_CODECS) {
+        const config = { codec, width: opts.width, height: opts.height, bitrate: EXPORT_VIDEO_BITRATE, framerate: opts.fps, alpha: opts.transparent ? 'keep' : 'discard' };
+        if ((await VideoEncoder.isConfigSupported(config).catch(() => ({}))).supported) return { config, muxCodec };
+    }
+    return null;
+}
+
+// Transparency can't be offered for WebM when no encoder keeps alpha at the chosen size
+async function updateExportAlpha() {
+    const box = document.getElementById('export-transparent-checkbox');
+    box.disabled = document.getElementById('export-format-select').value === 'webm' && !(await webmEncoderConfig({ ...exportOptions(), transparent: true }));
+}
+
+async function exportView() {
+    const btn = document.getElementById('export-btn'), progress = document.getElementById('export-progress');
+    if (exporting) { exportToken++; return; }
+    if (renderer.xr.isPresenting || !timeKeys.length) return;
+    const opts = exportOptions(), format = document.getElementById('export-format-select').value, token = ++exportToken;
+    if (format === 'png') {
+        const blob = await withExportState(opts, async (canvas, ctx) => { renderExportFrame(ctx, opts); return canvasBlob(canvas); });
+        return downloadBlob(blob, `nbody_${playbackTime.toFixed(2)}Myr.png`);
+    }
+    const frames = Math.max(1, Math.floor((opts.end - opts.start) / playbackSpeed * opts.fps) + 1);
+    // PNG sequences go straight into a chosen folder where the browser allows it, otherwise one download per frame
+    const dir = format === 'sequence' && window.showDirectoryPicker ? await window.showDirectoryPicker({ mode: 'readwrite' }).catch(() => null) : null;
+    if (format === 'sequence' && window.showDirectoryPicker && !dir) return;
+    const webm = format === 'webm' ? await webmEncoderConfig(opts) : null;
+    if (format === 'webm' && !webm) throw new Error('this browser has no WebCodecs VP9 or VP8 encoder');
+    btn.textContent = 'Cancel'; progress.style.display = ''; progress.value = 0;
+    try {
+        await withExportState(opts, async (canvas, ctx) => {
+            let output = null, encoder = null, encodeError = null, muxed = Promise.resolve();
+            if (webm) {
+                output = new Output({ format: new WebMOutputFormat(), target: new BufferTarget() });
+                const source = new EncodedVideoPacketSource(webm.muxCodec);
+                output.addVideoTrack(source, { frameRate: opts.fps });
+                await output.start();
+                // The alpha plane arrives as side data on each chunk and goes into the WebM block additions
+                const addChunk = (chunk, meta) => source.add(EncodedPacket.fromEncodedChunk(chunk, meta?.alphaSideData ? { alpha: new Uint8Array(meta.alphaSideData) } : undefined), meta);
+                encoder = new VideoEncoder({ output: (chunk, meta) => { muxed = muxed.then(() => addChunk(chunk, meta)).catch(e => { encodeError = e; }); }, error: e => { encodeError = e; } });
+                encoder.configure(webm.config);
+            }
+            for (let f = 0; f < frames && token === exportToken; f++) {
+                renderAtTime(Math.min(opts.end, opts.start + f * playbackSpeed / opts.fps), true);
+                renderExportFrame(ctx, opts);
+                progress.value = (f + 1) / frames;
+                const name = `frame_${String(f).padStart(5, '0')}.png`;
+                if (encoder) {
+                    // Timestamps come from the frame number, so the video plays at exactly opts.fps however long each frame took to draw
+                    const frame = new VideoFrame(canvas, { timestamp: Math.round(f * 1e6 / opts.fps), duration: Math.round(1e6 / opts.fps) });
+                    encoder.encode(frame, { keyFrame: f % Math.round(opts.fps * EXPORT_KEYFRAME_SECONDS) === 0 });
+                    frame.close();
+                    if (encodeError) throw encodeError;
+                    do await new Promise(r => setTimeout(r)); while (encoder.encodeQueueSize > EXPORT_ENCODE_QUEUE);
+                } else if (dir) {
+                    const w = await (await dir.getFileHandle(name, { create: true })).createWritable();
+                    await w.write(await canvasBlob(canvas)); await w.close();
+                } else {
+                    downloadBlob(await canvasBlob(canvas), name);
+                    await new Promise(r => setTimeout(r, EXPORT_DOWNLOAD_DELAY_MS));
+                }
+            }
+            if (encoder) {
+                if (token === exportToken) {
+                    await encoder.flush();
+                    await muxed;
+                    if (encodeError) throw encodeError;
+                    await output.finalize();
+                    downloadBlob(new Blob([output.target.buffer], { type: 'video/webm' }), `nbody_${opts.start.toFixed(0)}-${opts.end.toFixed(0)}Myr.webm`);
+                } else await output.cancel();
+                if (encoder.state !== 'closed') encoder.close();
+            }
+        });
+    } finally {
+        btn.textContent = 'Export'; progress.style.display = 'none';
+    }
+}
+
+// Everything needed to reproduce the current view; control values are replayed through their UI handlers on restore
+function captureViewState() {
+    const round = v => +v.toFixed(4);
+    return {
+        t: round(playbackTime),
+        camera: camera.position.toArray().map(round),
+        target: controls.target.toArray().map(round),
+        event: String(interactionEvents.indexOf(selectedEvent)),
+        inputs: Object.fromEntries(VIEW_STATE_INPUTS.map(id => [id, document.getElementById(id).value])),
+        checks: Object.fromEntries(VIEW_STATE_CHECKBOXES.map(id => [id, document.getElementById(id).checked]))
+    };
+}
+
+// Sets a UI control and fires its event so the setupUI handler applies it
+function setControl(id, prop, value, type) {
+    const el = document.getElementById(id);
+    if (!el || value === undefined || el[prop] === value) return;
+    el[prop] = value; el.dispatchEvent(new Event(type));
+}
+
+function applyViewState(state) {
+    if (!state || !timeKeys.length) return;
+    isPlaying = false;
+    document.getElementById('play-pause-btn').textContent = 'Play';
+    Object.entries(state.inputs || {}).filter(([id]) => VIEW_STATE_INPUTS.includes(id)).forEach(([id, v]) => setControl(id, 'value', String(v), 'input'));
+    Object.entries(state.checks || {}).filter(([id]) => VIEW_STATE_CHECKBOXES.includes(id)).forEach(([id, v]) => setControl(id, 'checked', !!v, 'change'));
+    if (state.event !== undefined) selectEvent(parseInt(state.event));
+    if (Number.isFinite(state.t)) renderAtTime(Math.min(timeKeys[timeKeys.length - 1], Math.max(timeKeys[0], state.t)), true);
+    if (!renderer.xr.isPresenting && Array.isArray(state.camera) && Array.isArray(state.target)) {
+        camera.position.fromArray(state.camera);
+        controls.target.fromArray(state.target); cameraTargetGoal.fromArray(state.target);
+        controls.update();
+    }
+}
+
+function viewStateFromHash() {
+    const param = new URLSearchParams(window.location.hash.slice(1)).get('view');
+    if (!param) return null;
+    try { return JSON.parse(param); } catch (e) { reportDatasetStatus([`Ignoring malformed view state in URL: ${e.message}`], true); return null; }
+}
+
+function shareView() {
+    const url = new URL(window.location.href);
+    url.hash = new URLSearchParams({ view: JSON.stringify(captureViewState()) }).toString();
+    history.replaceState(null, '', url);
+    navigator.clipboard?.writeText(url.href).catch(() => {});
+}
+
+const isBookmark = b => b && typeof b.name === 'string' && b.state && Number.isFinite(b.state.t);
+
+// Stored bookmarks are filtered through the same shape check as imports, so a hand-edited or stale entry is dropped rather than breaking the UI
+function loadBookmarks() {
+    try {
+        const list = JSON.parse(localStorage.getItem(BOOKMARK_STORAGE_KEY));
+        return Array.isArray(list) ? list.filter(isBookmark) : [];
+    } catch { return []; }
+}
+
+function renderBookmarkSelect(list) {
+    const sel = document.getElementById('bookmark-select');
+    sel.innerHTML = '';
+    list.forEach((b, i) => {
+        const o = document.createElement('option'); o.value = i;
+        o.textContent = `${b.name} (${b.state.t.toFixed(1)} Myr)`;
+        sel.appendChild(o);
+    });
+}
+
+function saveBookmarks(list) {
+    try { localStorage.setItem(BOOKMARK_STORAGE_KEY, JSON.stringify(list)); }
+    catch (e) { reportDatasetStatus([`Bookmarks could not be stored: ${e.message}`], true); }
+    renderBookmarkSelect(list);
+}
+
+function importBookmarks(text) {
+    const incoming = JSON.parse(text);
+    if (!Array.isArray(incoming) || !incoming.every(isBookmark))
+        throw new Error('expected an array of { name, state } bookmarks');
+    const list = loadBookmarks().filter(b => !incoming.some(n => n.name === b.name));
+    saveBookmarks([...list, ...incoming]);
+}
+
+// Keyframes are stored in world coordinates; the camera and the orbit target live in the rig's frame, which VR flying moves
+function recordTourKeyframe() {
+    const round = v => +v.toFixed(4), pos = camera.getWorldPosition(new THREE.Vector3());
+    const target = renderer.xr.isPresenting ? pos.clone().add(camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(TOUR_XR_TARGET_DISTANCE)) : cameraRig.localToWorld(controls.target.clone());
+    tourKeyframes.push({
+        t: round(playbackTime),
+        camera: pos.toArray().map(round),
+        target: target.toArray().map(round),
+        event: String(interactionEvents.indexOf(selectedEvent)),
+        highlight: document.getElementById('highlight-bh-input').value,
+        duration: parseFloat(document.getElementById('tour-duration-input').value) || TOUR_DEFAULT_SECONDS
+    });
+    updateTourStatus();
+}
+
+function updateTourStatus() {
+    const total = tourKeyframes.slice(1).reduce((s, k) => s + k.duration, 0);
+    document.getElementById('tour-status').textContent = tourKeyframes.length ? `${tourKeyframes.length} keyframe(s), ${total.toFixed(1)} s` : '';
+    document.getElementById('tour-play-btn').textContent = tour ? 'Stop' : 'Play Tour';
+}
+
+function startTour() {
+    if (tourKeyframes.length < 2 || !timeKeys.length) return;
+    isPlaying = false;
+    document.getElementById('play-pause-btn').textContent = 'Play';
+    const curve = key => new THREE.CatmullRomCurve3(tourKeyframes.map(k => new THREE.Vector3().fromArray(k[key])), false, 'centripetal');
+    tour = { elapsed: 0, seg: -1, position: curve('camera'), target: curve('target') };
+    updateTourStatus();
+}
+
+function stopTour() {
+    tour = null;
+    updateTourStatus();
+}
+
+// Moves the camera (or the VR rig) along the keyframe splines; simulation time is interpolated linearly per segment
+function advanceTour(dt) {
+    tour.elapsed += dt;
+    const n = tourKeyframes.length;
+    let seg = 0, start = 0;
+    while (seg < n - 1 && tour.elapsed >= start + tourKeyframes[seg + 1].duration) { start += tourKeyframes[seg + 1].duration; seg++; }
+    const done = seg === n - 1, frac = done ? 0 : (tour.elapsed - start) / tourKeyframes[seg + 1].duration;
+    if (seg !== tour.seg) {
+        tour.seg = seg;
+        const k = tourKeyframes[seg];
+        selectEvent(parseInt(k.event));
+        setControl('highlight-bh-input', 'value', k.highlight, 'input');
+    }
+    const u = (seg + frac) / (n - 1), pos = tour.position.getPoint(u), target = tour.target.getPoint(u);
+    const k0 = tourKeyframes[seg], k1 = tourKeyframes[Math.min(n - 1, seg + 1)];
+    renderAtTime(Math.min(timeKeys[timeKeys.length - 1], Math.max(timeKeys[0], k0.t + (k1.t - k0.t) * frac)));
+    if (renderer.xr.isPresenting) {
+        // Yaw only, so the rig stays upright for the headset wearer; the head's offset inside the rig is taken off so the eyes land on the path
+        const d = target.clone().sub(pos);
+        cameraRig.rotation.set(0, Math.atan2(-d.x, -d.z), 0);
+        cameraRig.position.copy(pos).sub(camera.position.clone().applyQuaternion(cameraRig.quaternion));
+    } else {
+        cameraRig.updateMatrixWorld();
+        camera.position.copy(cameraRig.worldToLocal(pos));
+        controls.target.copy(cameraRig.worldToLocal(target)); cameraTargetGoal.copy(controls.target);
+    }
+    if (done) stopTour();
+}
+
+function loadTour(text) {
+    const data = JSON.parse(text), frames = Array.isArray(data) ? data : data.keyframes;
+    const vec = a => Array.isArray(a) && a.length === 3 && a.every(Number.isFinite);
+    if (!Array.isArray(frames) || !frames.every(k => k && Number.isFinite(k.t) && vec(k.camera) && vec(k.target)))
+        throw new Error('expected { keyframes: [{ t, camera, target, ... }] }');
+    stopTour();
+    tourKeyframes = frames.map(k => ({ event: '-1', highlight: '', ...k, duration: k.duration > 0 ? k.duration : TOUR_DEFAULT_SECONDS }));
+    updateTourStatus();
+}
+
+function updateNS(cur, com) {
+    const ids = new Set(cur.map(n => n.ns_id));
+    nsObjects.forEach((o, id) => { if (!ids.has(id)) nsObjects.delete(id); });
+    cur.forEach(n => {
+        const s = layerItem(nsLayer, n.ns_id);
         s.userData.nsData = n; s.position.set(n.x - com.x, n.y - com.y, n.z - com.z);
-        const sc = n.mass_msun * particleSizeMultiplier; s.scale.set(sc, sc, sc);
+        s.scale = n.mass_msun * particleSizeMultiplier;
+        s.color.set(highlightedBhId === n.ns_id ? highlightColor : NS_COLOR);
+        s.opacity = selectedEvent ? 0.1 : 1.0;
         s.visible = document.getElementById('ns-visible-checkbox').checked;
     });
 }
@@ -325,13 +1969,27 @@ function setupUI() {
         cameraTargetGoal.set(0, 0, 0);
         controls.update();
     });
+    document.getElementById('dataset-file-input').addEventListener('change', e => { loadDatasetFromFiles([...e.target.files]); e.target.value = ''; });
+    document.getElementById('run-add-input').addEventListener('change', e => { const files = [...e.target.files]; e.target.value = ''; if (files.length) addRun('', run => loadDatasetFromFiles(files, run)); });
+    document.getElementById('run-select').addEventListener('input', e => setActiveRun(runs[e.target.value]));
+    document.getElementById('run-remove-btn').addEventListener('click', () => removeRun(activeRun));
+    document.getElementById('link-cameras-checkbox').addEventListener('change', e => {
+        linkedCameras = e.target.checked;
+        // Unlinking starts every run from the shared view
+        if (!linkedCameras) runs.forEach(r => { r.pose = cameraPose(); });
+    });
+    refreshRunList();
+    window.addEventListener('dragover', e => { e.preventDefault(); ui.classList.add('drag-over'); });
+    window.addEventListener('dragleave', e => { if (!e.relatedTarget) ui.classList.remove('drag-over'); });
+    window.addEventListener('drop', e => { e.preventDefault(); ui.classList.remove('drag-over'); if (e.dataTransfer?.files.length) loadDatasetFromFiles([...e.dataTransfer.files]); });
     ts.addEventListener('pointerdown', () => isPlaying = false);
     ts.addEventListener('input', e => updateBlackHoles(parseInt(e.target.value)));
-    const ids = ['speed-slider', 'bh-size-slider', 'vel-scale-slider', 'spin-scale-slider', 'bg-brightness-slider', 'highlight-color-input', 'mass-range-color-input', 'mass-min-input', 'mass-max-input', 'highlight-bh-input', 'interaction-event-select'];
+    const ids = ['speed-slider', 'bh-size-slider', 'vel-scale-slider', 'spin-scale-slider', 'bg-brightness-slider', 'highlight-color-input', 'mass-range-color-input', 'mass-min-input', 'mass-max-input', 'highlight-bh-input', 'trail-length-slider', 'trail-mode-select', 'interp-mode-select'];
     ids.forEach(id => {
         const el = document.getElementById(id);
         if (el) el.addEventListener('input', e => {
-        if (id === 'speed-slider') framesPerUpdate = 21 - parseInt(e.target.value);
+        if (id === 'speed-slider') { playbackSpeed = Math.round(10 ** parseFloat(e.target.value)); document.getElementById('speed-label').textContent = `${playbackSpeed} Myr/s`; return; }
+        if (id === 'interp-mode-select') interpolationMode = e.target.value;
         if (id === 'bh-size-slider') particleSizeMultiplier = parseFloat(e.target.value);
         if (id === 'vel-scale-slider') velScaleMultiplier = parseFloat(e.target.value);
         if (id === 'spin-scale-slider') spinScaleMultiplier = parseFloat(e.target.value);
@@ -340,64 +1998,196 @@ function setupUI() {
         if (id === 'mass-range-color-input') massRangeColor.set(e.target.value);
         if (id.includes('mass-')) { massFilterMin = parseFloat(document.getElementById('mass-min-input').value) || null; massFilterMax = parseFloat(document.getElementById('mass-max-input').value) || null; }
         if (id === 'highlight-bh-input') highlightedBhId = parseInt(e.target.value) || null;
-        if (id === 'interaction-event-select') {
-            selectedEvent = interactionEvents[e.target.value] || null;
-            if (selectedEvent) {
-                const targetIdx = timeKeys.findIndex(t => t >= selectedEvent.time);
-                if (targetIdx !== -1) ts.value = targetIdx;
-            }
-        }
-        updateBlackHoles(parseInt(ts.value));
+        if (id === 'trail-length-slider') { trailLength = parseInt(e.target.value); document.getElementById('trail-length-label').textContent = trailLength; }
+        if (id === 'trail-mode-select') trailMode = e.target.value;
+        renderAtTime(playbackTime, true);
     })});
-    document.getElementById('clear-highlight-btn').addEventListener('click', () => { document.getElementById('highlight-bh-input').value = ''; highlightedBhId = null; updateBlackHoles(parseInt(ts.value)); });
-    ['ns-visible-checkbox', 'com-frame-checkbox', 'camera-track-checkbox', 'spin-visible-checkbox'].forEach(id => {
+    ['event-type-filter', 'event-search-input', 'event-id-input', 'event-tmin-input', 'event-tmax-input', 'event-mmin-input', 'event-mmax-input'].forEach(id => document.getElementById(id).addEventListener('input', renderEventBrowser));
+    document.getElementById('event-prev-btn').addEventListener('click', () => stepEvent(-1));
+    document.getElementById('event-next-btn').addEventListener('click', () => stepEvent(1));
+    document.getElementById('event-clear-btn').addEventListener('click', () => selectEvent(-1));
+    document.getElementById('event-timeline').addEventListener('click', e => {
+        if (!timeKeys.length) return;
+        // Picks the nearest marker within a few pixels, otherwise seeks to the clicked time
+        const c = e.currentTarget, rect = c.getBoundingClientRect(), x = (e.clientX - rect.left) / rect.width * c.width;
+        const near = eventList.map((ev, i) => ({ ev, d: Math.abs(eventMarkerX[i] - x) })).sort((a, b) => a.d - b.d)[0];
+        if (near && near.d <= EVENT_PICK_PX) selectEvent(interactionEvents.indexOf(near.ev));
+        else { isPlaying = false; document.getElementById('play-pause-btn').textContent = 'Play'; updateBlackHoles(Math.round(Math.min(1, Math.max(0, x / c.width)) * (timeKeys.length - 1))); }
+    });
+    // Sliders and checkboxes keep focus after a click, so only fields that take typed text swallow the shortcuts
+    document.addEventListener('keydown', e => {
+        const t = e.target, typing = t.tagName === 'TEXTAREA' || t.tagName === 'SELECT' || t.isContentEditable || (t.tagName === 'INPUT' && ['text', 'number', 'search'].includes(t.type));
+        if (e.ctrlKey || e.metaKey || e.altKey || typing) return;
+        if (e.key === 'n' || e.key === 'N') stepEvent(1);
+        else if (e.key === 'p' || e.key === 'P') stepEvent(-1);
+        else if (e.key === 'Escape' && selectedEvent) selectEvent(-1);
+    });
+    ['orbit-id1-input', 'orbit-id2-input'].forEach(id => document.getElementById(id).addEventListener('change', () => {
+        setOrbitPair(parseInt(document.getElementById('orbit-id1-input').value), parseInt(document.getElementById('orbit-id2-input').value));
+        renderAtTime(playbackTime, true);
+    }));
+    document.getElementById('orbit-pick-btn').addEventListener('click', e => {
+        orbitPickIds = orbitPickIds ? null : [];
+        e.target.textContent = orbitPickIds ? 'Click 2 particles...' : 'Pick';
+    });
+    document.getElementById('binary-scan-btn').addEventListener('click', () => scanBinaries());
+    document.getElementById('binary-current-checkbox').addEventListener('change', () => renderBinaryTable());
+    document.getElementById('binary-orbit-checkbox').addEventListener('change', () => renderAtTime(playbackTime, true));
+    document.getElementById('orbit-clear-btn').addEventListener('click', () => { setOrbitPair(NaN, NaN); renderAtTime(playbackTime, true); });
+    const sparks = document.getElementById('orbit-sparklines');
+    ORBIT_SPARKLINES.forEach(([key, label]) => {
+        const row = document.createElement('div'), l = document.createElement('span'), c = document.createElement('canvas');
+        l.textContent = label; l.className = 'sparkline-label';
+        c.id = `orbit-spark-${key}`; c.width = 240; c.height = 24;
+        row.append(l, c); sparks.appendChild(row);
+    });
+    const diag = document.getElementById('diagnostics'), diagStatus = document.createElement('div');
+    diagStatus.id = 'diag-status'; diag.appendChild(diagStatus);
+    [...DIAGNOSTIC_CHARTS, ['segregation', 'Mean BH mass vs radius [Msun]']].forEach(([key, label]) => {
+        const box = document.createElement('div'), l = document.createElement('span'), c = document.createElement('canvas');
+        l.textContent = label; c.id = `diag-${key}`; c.width = 220; c.height = 70;
+        box.append(l, c); diag.appendChild(box);
+        if (key === 'segregation') { const r = document.createElement('span'); r.id = 'diag-segregation-range'; box.appendChild(r); }
+        else c.addEventListener('click', e => {
+            if (!timeKeys.length) return;
+            const rect = c.getBoundingClientRect();
+            updateBlackHoles(Math.round(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)) * (timeKeys.length - 1)));
+        });
+    });
+    document.getElementById('diagnostics-checkbox').addEventListener('change', e => { diag.style.display = e.target.checked ? 'block' : 'none'; updateDiagnostics(currentIdx); });
+    const charts = document.getElementById('inspector-charts');
+    INSPECTOR_CHARTS.forEach(([key, label]) => {
+        const box = document.createElement('div'), l = document.createElement('span'), c = document.createElement('canvas');
+        l.textContent = label; c.id = `inspector-${key}`; c.width = 220; c.height = 50;
+        box.append(l, c); charts.appendChild(box);
+        c.addEventListener('click', e => {
+            const rect = c.getBoundingClientRect();
+            updateBlackHoles(Math.round(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)) * (timeKeys.length - 1)));
+        });
+    });
+    document.getElementById('inspector-close-btn').addEventListener('click', closeInspector);
+    document.getElementById('inspector-csv-btn').addEventListener('click', () => exportTrajectory('csv'));
+    document.getElementById('inspector-json-btn').addEventListener('click', () => exportTrajectory('json'));
+    document.getElementById('export-btn').addEventListener('click', () => exportView().catch(e => reportDatasetStatus([`Export failed: ${e.message}`], true)));
+    ['export-format-select', 'export-width-input', 'export-height-input', 'export-fps-input'].forEach(id => document.getElementById(id).addEventListener('change', updateExportAlpha));
+    document.getElementById('view-share-btn').addEventListener('click', shareView);
+    window.addEventListener('hashchange', () => applyViewState(viewStateFromHash()));
+    renderBookmarkSelect(loadBookmarks());
+    document.getElementById('bookmark-save-btn').addEventListener('click', () => {
+        const input = document.getElementById('bookmark-name-input'), name = input.value.trim() || `${playbackTime.toFixed(2)} Myr`;
+        saveBookmarks([...loadBookmarks().filter(b => b.name !== name), { name, state: captureViewState() }]);
+        input.value = '';
+    });
+    document.getElementById('bookmark-go-btn').addEventListener('click', () => { const b = loadBookmarks()[document.getElementById('bookmark-select').value]; if (b) applyViewState(b.state); });
+    document.getElementById('bookmark-delete-btn').addEventListener('click', () => saveBookmarks(loadBookmarks().filter((_, i) => i !== parseInt(document.getElementById('bookmark-select').value))));
+    document.getElementById('bookmark-export-btn').addEventListener('click', () => downloadBlob(new Blob([JSON.stringify(loadBookmarks(), null, 2)], { type: 'application/json' }), 'bookmarks.json'));
+    document.getElementById('bookmark-import-input').addEventListener('change', async e => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try { importBookmarks(await file.text()); } catch (err) { reportDatasetStatus([`${file.name}: ${err.message}`], true); }
+    });
+    document.getElementById('tour-add-btn').addEventListener('click', recordTourKeyframe);
+    document.getElementById('tour-play-btn').addEventListener('click', () => tour ? stopTour() : startTour());
+    document.getElementById('tour-clear-btn').addEventListener('click', () => { stopTour(); tourKeyframes = []; updateTourStatus(); });
+    document.getElementById('tour-save-btn').addEventListener('click', () => downloadBlob(new Blob([JSON.stringify({ keyframes: tourKeyframes }, null, 2)], { type: 'application/json' }), 'tour.json'));
+    document.getElementById('tour-load-input').addEventListener('change', async e => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try { loadTour(await file.text()); } catch (err) { reportDatasetStatus([`${file.name}: ${err.message}`], true); }
+    });
+    document.getElementById('spin-default-input').addEventListener('change', e => { const a = parseFloat(e.target.value); defaultSpin = Number.isFinite(a) ? THREE.MathUtils.clamp(a, -MAX_SPIN, MAX_SPIN) : DEFAULT_SPIN_PARAMETER_A; renderAtTime(playbackTime, true); });
+    document.getElementById('spin-overrides-input').addEventListener('change', e => { spinOverrides = parseSpinOverrides(e.target.value); renderAtTime(playbackTime, true); });
+    document.getElementById('gw-chirp-checkbox').addEventListener('change', () => renderAtTime(playbackTime, true));
+    document.getElementById('gw-play-btn').addEventListener('click', playChirp);
+    document.getElementById('clear-highlight-btn').addEventListener('click', () => { document.getElementById('highlight-bh-input').value = ''; highlightedBhId = null; renderAtTime(playbackTime, true); });
+    ['ns-visible-checkbox', 'star-visible-checkbox', 'com-frame-checkbox', 'camera-track-checkbox', 'spin-visible-checkbox', 'trail-visible-checkbox'].forEach(id => {
         const el = document.getElementById(id);
         if (el) el.addEventListener('change', e => {
         if(id==='camera-track-checkbox') isCameraTracking = e.target.checked;
         if(id==='com-frame-checkbox') useComFrame = e.target.checked;
         if(id==='spin-visible-checkbox') showSpinVectors = e.target.checked;
-        updateBlackHoles(parseInt(ts.value));
+        if(id==='trail-visible-checkbox') showTrails = e.target.checked;
+        renderAtTime(playbackTime, true);
     })});
 }
 
 function animate() {
     const dt = clock.getDelta();
-    if (isPlaying) {
-        frameCount++;
-        if (frameCount >= framesPerUpdate) {
-            frameCount = 0;
-            const s = document.getElementById('time-slider');
-            s.value = (parseInt(s.value) + 1) % timeKeys.length;
-            updateBlackHoles(parseInt(s.value));
-        }
+    if (exporting) return;
+    if (tour) advanceTour(dt);
+    else if (isPlaying && timeKeys.length > 1) {
+        let t = playbackTime + dt * playbackSpeed;
+        if (t > timeKeys[timeKeys.length - 1]) t = timeKeys[0];
+        renderAtTime(t);
     }
-    if (renderer.xr.isPresenting) {
-        const ses = renderer.xr.getSession();
-        if (ses) ses.inputSources.forEach(src => { if(src.gamepad){ const y = src.gamepad.axes[3] || 0; if(Math.abs(y)>0.1){ const d = new THREE.Vector3(); camera.getWorldDirection(d); cameraRig.position.addScaledVector(d, -y * 5 * dt); } } });
-    } else { if (isCameraTracking) controls.target.lerp(cameraTargetGoal, 0.1); controls.update(); }
+    if (viewCount() > 1) syncRuns();
+    updateRunLabels();
+    if (renderer.xr.isPresenting) updateXR(dt);
+    else { if (isCameraTracking && !tour) controls.target.lerp(cameraTargetGoal, 0.1); controls.update(); }
     raycaster.setFromCamera(mouse, camera);
-    const hits = raycaster.intersectObjects([...bhObjects.values(), ...nsObjects.values()].filter(o => o.visible && o.material.opacity > 0.05));
+    const hitObj = hoverRun === activeRun ? pickParticle(raycaster) : null;
     const info = document.getElementById('tracking-info');
-    if (hits.length > 0) {
-        const hitObj = hits[0].object;
-        const d = hitObj.userData.bhData || hitObj.userData.nsData;
-        let infoText = `ID: ${d.bh_id ?? d.ns_id}\nMass: ${d.mass_msun.toFixed(2)}`;
-        if (highlightedBhId !== null) {
-            const hObj = bhObjects.get(highlightedBhId);
-            if (hObj && highlightedBhId !== (d.bh_id ?? d.ns_id)) {
-                const dist = hObj.position.distanceTo(hitObj.position);
-                infoText += `\nDist to ${highlightedBhId}: ${dist.toFixed(2)} pc`;
-            }
-        }
-        info.innerHTML = infoText;
+    if (hitObj) {
+        info.innerHTML = particleInfoText(hitObj);
         info.style.display = 'block';
     } else info.style.display = 'none';
     if (camera.position.length() > 0) {
-        const pxW = (10 / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * camera.position.length() * camera.aspect)) * window.innerWidth;
-        document.getElementById('scale-bar-line').style.width = `${pxW}px`;
+        document.getElementById('scale-bar-line').style.width = `${scaleBarPixels(window.innerWidth / viewCount())}px`;
         document.getElementById('scale-bar-label').textContent = `10 pc`;
     }
-    renderer.render(scene, camera);
+    renderViews(window.innerWidth, window.innerHeight);
+}
+
+// Hover text shared by the desktop tracking-info box and the in-headset label
+function particleInfoText(hitObj) {
+    const d = hitObj.userData.bhData || hitObj.userData.nsData || hitObj.userData.starData;
+    let infoText = `ID: ${d.bh_id ?? d.ns_id ?? d.star_id}\nMass: ${d.mass_msun.toFixed(2)}`;
+    if (highlightedBhId !== null) {
+        const hObj = bhObjects.get(highlightedBhId);
+        if (hObj && highlightedBhId !== (d.bh_id ?? d.ns_id ?? d.star_id)) {
+            const dist = hObj.position.distanceTo(hitObj.position);
+            infoText += `\nDist to ${highlightedBhId}: ${dist.toFixed(2)} pc`;
+        }
+    }
+    return infoText;
+}
+
+function particleAtEvent(e) {
+    const v = pointerView(e.clientX, e.clientY);
+    if (v.run !== activeRun) return null;
+    raycaster.setFromCamera(v.ndc, camera);
+    return pickParticle(raycaster);
+}
+
+// Picks orbit members while Pick is armed, otherwise opens the inspector on the clicked BH or NS
+function onParticleClick(hit) {
+    const d = hit && (hit.userData.bhData || hit.userData.nsData);
+    if (!d) return;
+    if (!orbitPickIds) { inspectParticle(d.bh_id ?? d.ns_id, hit.userData.bhData ? 'BH' : 'NS'); return; }
+    orbitPickIds.push(d.bh_id ?? d.ns_id);
+    if (orbitPickIds.length < 2) { document.getElementById('orbit-id1-input').value = orbitPickIds[0]; return; }
+    setOrbitPair(...orbitPickIds);
+    orbitPickIds = null;
+    document.getElementById('orbit-pick-btn').textContent = 'Pick';
+    renderAtTime(playbackTime, true);
+}
+
+// Returns the nearest visible BH/NS instance item, or a transient item for a star point
+function pickParticle(ray) {
+    const targets = [bhLayer.mesh, nsLayer.mesh].filter(m => m && m.count > 0);
+    if (starLayer.points.visible) targets.push(starLayer.points);
+    for (const hit of ray.intersectObjects(targets, false)) {
+        if (hit.object === starLayer.points) {
+            const k = starLayer.rows[hit.index], pos = starLayer.points.geometry.getAttribute('position');
+            if (selectedEvent) continue;
+            return { position: new THREE.Vector3().fromBufferAttribute(pos, hit.index), userData: { starData: storeRow(starData, k, timeKeys[currentIdx]) } };
+        }
+        const it = (hit.object === bhLayer.mesh ? bhLayer : nsLayer).order[hit.instanceId];
+        if (it && it.opacity > 0.05) return it;
+    }
+    return null;
 }
 
 function onSessionStart() {
@@ -407,22 +2197,279 @@ function onSessionStart() {
     camera.position.set(0, 0, 0); camera.quaternion.identity();
 }
 
-function populateEventSelector() {
-    const s = document.getElementById('interaction-event-select');
-    s.innerHTML = '<option value="-1">None</option>';
-    const maxTime = timeKeys.length > 0 ? timeKeys[timeKeys.length - 1] : 0;
-    interactionEvents.forEach((e, i) => {
-        // Filter events that occur after the last snapshot in bh_history
-        if (isNaN(e.time) || e.time > maxTime) return;
-        const o = document.createElement('option'); o.value = i;
-        o.textContent = `${e.type} @ ${e.time.toFixed(0)}: (${e.id1},${e.id2})${e.type==='EXCHANGE' ? '->('+e.id3+','+e.id4+')' : ''}`;
-        s.appendChild(o);
+function onSessionEnd() {
+    // Hands the headset pose back to the desktop camera with the rig at the origin, looking the same way at the old orbit distance
+    const pos = camera.getWorldPosition(new THREE.Vector3()), quat = camera.getWorldQuaternion(new THREE.Quaternion());
+    const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(quat), dist = pos.distanceTo(controls.target) || TOUR_XR_TARGET_DISTANCE;
+    cameraRig.position.set(0, 0, 0); cameraRig.quaternion.identity();
+    camera.position.copy(pos); camera.quaternion.copy(quat);
+    controls.target.copy(pos).addScaledVector(dir, dist); cameraTargetGoal.copy(controls.target);
+    xrPanel.mesh.visible = false; xrLabel.sprite.visible = false;
+    xrControllers.forEach(resetXrController);
+    xrGrab = null;
+    // Desktop camera tracking and picking assume the cluster sits untransformed in the scene
+    runs.forEach(({ clusterRoot: root }) => { root.position.set(0, 0, 0); root.rotation.set(0, 0, 0); root.scale.setScalar(1); });
+    updateCameraAspect();
+}
+
+// Controllers live in the camera rig so thumbstick flying carries them along; input is read from their events and poses
+function setupXR() {
+    for (let i = 0; i < 2; i++) {
+        const c = bindXrController(renderer.xr.getController(i), onXrSelectStart);
+        cameraRig.add(c);
+        xrControllers.push(c);
+    }
+    xrPanel = createXrPanel(); cameraRig.add(xrPanel.mesh);
+    xrLabel = createXrLabel(); scene.add(xrLabel.sprite);
+    renderer.xr.addEventListener('sessionend', onSessionEnd);
+}
+
+function createXrPanel() {
+    const canvas = document.createElement('canvas');
+    [canvas.width, canvas.height] = XR_PANEL_CANVAS;
+    const texture = new THREE.CanvasTexture(canvas);
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(...XR_PANEL_SIZE), new THREE.MeshBasicMaterial({ map: texture, transparent: true, side: THREE.DoubleSide }));
+    mesh.position.set(0, 1.0, -0.6); mesh.rotation.x = -0.5; mesh.visible = false;
+    return { mesh, canvas, texture, signature: '' };
+}
+
+// Redraws the panel texture only when something it shows has changed
+function drawXrPanel() {
+    const ns = document.getElementById('ns-visible-checkbox').checked, spin = document.getElementById('spin-visible-checkbox').checked;
+    const eventText = selectedEvent ? eventLabel(selectedEvent) : 'No event selected';
+    const signature = [isPlaying, currentIdx, eventText, ns, spin].join('|');
+    if (signature === xrPanel.signature) return;
+    xrPanel.signature = signature;
+    const ctx = xrPanel.canvas.getContext('2d'), [w, h] = XR_PANEL_CANVAS, [sx, sy, sw, sh] = XR_SCRUB_RECT;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)'; ctx.fillRect(0, 0, w, h);
+    ctx.fillStyle = '#ffffff'; ctx.font = '24px monospace';
+    ctx.fillText(`${playbackTime.toFixed(1)} Myr`, 16, 32);
+    ctx.font = '16px monospace'; ctx.fillText(eventText.slice(0, 48), 16, 54);
+    ctx.fillStyle = '#444'; ctx.fillRect(sx, sy, sw, sh);
+    ctx.fillStyle = '#39ff14'; ctx.fillRect(sx, sy, sw * (timeKeys.length > 1 ? currentIdx / (timeKeys.length - 1) : 0), sh);
+    const active = { play: isPlaying, ns, spin };
+    XR_PANEL_BUTTONS.forEach(([name, label, x, y, bw, bh]) => {
+        ctx.fillStyle = active[name] ? '#0066cc' : '#333'; ctx.fillRect(x, y, bw, bh);
+        ctx.fillStyle = '#ffffff'; ctx.font = '18px monospace'; ctx.textAlign = 'center';
+        ctx.fillText(name === 'play' && isPlaying ? 'Pause' : label, x + bw / 2, y + bh / 2 + 6);
+        ctx.textAlign = 'left';
+    });
+    xrPanel.texture.needsUpdate = true;
+}
+
+// Maps a ray hit on the panel to the button or scrub bar under it, in panel canvas pixels
+function xrPanelTarget(hit) {
+    const px = hit.uv.x * XR_PANEL_CANVAS[0], py = (1 - hit.uv.y) * XR_PANEL_CANVAS[1], [sx, sy, sw, sh] = XR_SCRUB_RECT;
+    if (px >= sx && px <= sx + sw && py >= sy && py <= sy + sh) return { name: 'scrub', fraction: (px - sx) / sw };
+    const b = XR_PANEL_BUTTONS.find(([, , x, y, bw, bh]) => px >= x && px <= x + bw && py >= y && py <= y + bh);
+    return b ? { name: b[0] } : null;
+}
+
+function xrPanelAction(target) {
+    if (target.name === 'scrub') {
+        if (isPlaying) document.getElementById('play-pause-btn').click();
+        setControl('time-slider', 'value', String(Math.round(target.fraction * (timeKeys.length - 1))), 'input');
+    }
+    if (target.name === 'play') document.getElementById('play-pause-btn').click();
+    if (target.name === 'prev' || target.name === 'next') stepEvent(target.name === 'next' ? 1 : -1);
+    if (target.name === 'ns' || target.name === 'spin') {
+        const id = `${target.name}-visible-checkbox`;
+        setControl(id, 'checked', !document.getElementById(id).checked, 'change');
+    }
+    if (target.name === 'reset') { clusterRoot.rotation.set(0, 0, 0); clusterRoot.scale.setScalar(1); }
+}
+
+function onXrSelectStart(c) {
+    const ray = controllerRay(c, xrRaycaster), panelHit = xrPanel.mesh.visible ? ray.intersectObject(xrPanel.mesh, false)[0] : null;
+    if (panelHit) {
+        const target = xrPanelTarget(panelHit);
+        if (target) { c.userData.scrubbing = target.name === 'scrub'; xrPanelAction(target); }
+        return;
+    }
+    onParticleClick(pickParticle(ray));
+}
+
+function createXrLabel() {
+    const canvas = document.createElement('canvas');
+    [canvas.width, canvas.height] = XR_LABEL_CANVAS;
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true }));
+    sprite.renderOrder = 1; sprite.visible = false;
+    return { sprite, canvas, texture, text: '' };
+}
+
+function showXrLabel(hit) {
+    if (!hit) { xrLabel.sprite.visible = false; return; }
+    const text = particleInfoText(hit);
+    if (text !== xrLabel.text) {
+        xrLabel.text = text;
+        const ctx = xrLabel.canvas.getContext('2d'), [w, h] = XR_LABEL_CANVAS;
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)'; ctx.fillRect(0, 0, w, h);
+        ctx.fillStyle = '#ffffff'; ctx.font = '22px monospace';
+        text.split('\n').forEach((line, i) => ctx.fillText(line, 10, 30 + i * 28));
+        xrLabel.texture.needsUpdate = true;
+    }
+    const pos = clusterRoot.localToWorld(hit.position.clone()), dist = pos.distanceTo(camera.getWorldPosition(new THREE.Vector3()));
+    xrLabel.sprite.scale.set(dist * XR_LABEL_SCALE * XR_LABEL_CANVAS[0] / XR_LABEL_CANVAS[1], dist * XR_LABEL_SCALE, 1);
+    xrLabel.sprite.position.copy(pos).add(new THREE.Vector3(0, dist * XR_LABEL_SCALE, 0));
+    xrLabel.sprite.visible = true;
+}
+
+function updateXR(dt) {
+    flyRig(renderer.xr.getSession(), cameraRig, camera, dt);
+    xrPanel.mesh.visible = true;
+    let labelHit = null;
+    xrControllers.forEach(c => {
+        if (!c.userData.inputSource) return;
+        const ray = controllerRay(c, xrRaycaster), panelHit = ray.intersectObject(xrPanel.mesh, false)[0];
+        let len = XR_RAY_LENGTH;
+        if (panelHit) {
+            len = panelHit.distance;
+            const target = c.userData.scrubbing && xrPanelTarget(panelHit);
+            if (target && target.name === 'scrub') xrPanelAction(target);
+        } else {
+            const hit = pickParticle(ray);
+            if (hit) { labelHit = labelHit || hit; len = clusterRoot.localToWorld(hit.position.clone()).distanceTo(ray.ray.origin); }
+        }
+        c.userData.ray.scale.z = len;
+    });
+    showXrLabel(labelHit);
+    xrGrab = updateGrab(xrGrab, xrControllers, camera, clusterRoot);
+    drawXrPanel();
+}
+
+function eventLabel(e) {
+    return `${e.type} @ ${e.time.toFixed(0)}: (${e.id1},${e.id2})${e.type === 'EXCHANGE' ? `->(${e.id3},${e.id4})` : ''}`;
+}
+
+function eventFilters() {
+    const num = id => parseFloat(document.getElementById(id).value);
+    return {
+        type: document.getElementById('event-type-filter').value,
+        search: document.getElementById('event-search-input').value.trim().toLowerCase(),
+        id: parseInt(document.getElementById('event-id-input').value),
+        tMin: num('event-tmin-input'), tMax: num('event-tmax-input'),
+        mMin: num('event-mmin-input'), mMax: num('event-mmax-input')
+    };
+}
+
+// Events passing the browser filters, in time order; events after the last BH snapshot are never listed
+function filteredEvents() {
+    const f = eventFilters(), maxTime = timeKeys.length > 0 ? timeKeys[timeKeys.length - 1] : 0;
+    return interactionEvents.filter(e => {
+        if (isNaN(e.time) || e.time > maxTime) return false;
+        if (f.type && e.type !== f.type) return false;
+        if (f.tMin > e.time || f.tMax < e.time) return false;
+        if (Number.isFinite(f.id) && ![e.id1, e.id2, e.id3, e.id4].includes(f.id)) return false;
+        // Mass bounds keep an event when either listed mass falls inside them, so events without m1_list/m2_list drop out
+        if ((Number.isFinite(f.mMin) || Number.isFinite(f.mMax)) && ![e.m1, e.m2].some(m => Number.isFinite(m) && !(f.mMin > m) && !(f.mMax < m))) return false;
+        return !f.search || eventLabel(e).toLowerCase().includes(f.search);
+    }).sort((a, b) => a.time - b.time);
+}
+
+// Selects interactionEvents[i] (none for -1) and seeks to the first snapshot at or after it
+function selectEvent(i) {
+    selectedEvent = interactionEvents[i] || null;
+    let idx = currentIdx;
+    if (selectedEvent) {
+        const targetIdx = timeKeys.findIndex(t => t >= selectedEvent.time);
+        if (targetIdx !== -1) idx = targetIdx;
+    }
+    updateBlackHoles(idx);
+    renderEventBrowser();
+}
+
+// Moves to the next or previous filtered event, from the selected one or else from the current time
+function stepEvent(dir) {
+    const list = eventList;
+    if (!list.length) return;
+    const cur = list.indexOf(selectedEvent);
+    const next = cur >= 0 ? list[(cur + dir + list.length) % list.length]
+        : dir > 0 ? list.find(e => e.time > playbackTime) || list[0] : [...list].reverse().find(e => e.time < playbackTime) || list[list.length - 1];
+    selectEvent(interactionEvents.indexOf(next));
+}
+
+// Position of time t along the time slider, which is linear in snapshot index rather than in time
+function sliderFraction(t) {
+    const n = timeKeys.length;
+    if (n < 2) return 0;
+    let k = timeKeys.findIndex(x => x > t) - 1;
+    if (k < 0) return t < timeKeys[0] ? 0 : 1;
+    return (k + (t - timeKeys[k]) / (timeKeys[k + 1] - timeKeys[k])) / (n - 1);
+}
+
+// Markers and the selection only change with the filters, the selection or the run, so renderEventBrowser draws them once
+function drawEventTimeline() {
+    const c = document.getElementById('event-timeline'), ctx = c.getContext('2d'), w = c.width, h = c.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.1)'; ctx.fillRect(0, 0, w, h);
+    eventMarkerX = eventList.map(e => sliderFraction(e.time) * (w - 1));
+    eventList.forEach((e, i) => {
+        const x = Math.round(eventMarkerX[i]);
+        ctx.fillStyle = EVENT_TYPE_COLORS[e.type];
+        ctx.fillRect(x, e === selectedEvent ? 0 : 3, 1, e === selectedEvent ? h : h - 6);
+        if (e === selectedEvent) { ctx.strokeStyle = '#000000'; ctx.strokeRect(x - 1.5, 0.5, 3, h - 1); }
+    });
+    eventPlayheadX = null;
+    drawEventPlayhead();
+}
+
+// Called every frame; the playhead sits on its own canvas over the markers and is redrawn only when it moves
+function drawEventPlayhead() {
+    const c = document.getElementById('event-playhead'), w = c.width, h = c.height;
+    const x = Math.round(timeKeys.length > 1 ? currentIdx / (timeKeys.length - 1) * (w - 1) : 0);
+    if (x === eventPlayheadX) return;
+    eventPlayheadX = x;
+    const ctx = c.getContext('2d');
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#0000ff'; ctx.fillRect(x, 0, 1, h);
+}
+
+function renderEventBrowser() {
+    const table = document.getElementById('event-table'), list = eventList = filteredEvents();
+    const shown = interactionEvents.filter(e => !isNaN(e.time) && e.time <= (timeKeys.length > 0 ? timeKeys[timeKeys.length - 1] : 0)).length;
+    document.getElementById('event-current').textContent = selectedEvent ? eventLabel(selectedEvent) : 'None';
+    document.getElementById('event-count').textContent = `${list.length} of ${shown} events`;
+    drawEventTimeline();
+    table.innerHTML = '';
+    const [key, dir] = eventSort;
+    const val = e => ({ type: e.type, time: e.time, ids: e.id1, m1: e.m1, m2: e.m2, period: e.period })[key];
+    // Missing masses and periods sort last either way
+    const rows = [...list].sort((p, q) => {
+        const a = val(p), b = val(q);
+        if (Number.isNaN(a) || Number.isNaN(b)) return Number.isNaN(a) - Number.isNaN(b);
+        return (a < b ? -1 : a > b ? 1 : 0) * dir;
+    });
+    const head = table.insertRow();
+    EVENT_TABLE_COLUMNS.forEach(([k, label]) => {
+        const th = document.createElement('th');
+        th.textContent = label + (k === key ? (dir > 0 ? ' ▲' : ' ▼') : '');
+        th.addEventListener('click', () => { eventSort = [k, k === key ? -dir : 1]; renderEventBrowser(); });
+        head.appendChild(th);
+    });
+    const num = v => Number.isFinite(v) ? +v.toFixed(3) : '';
+    rows.forEach(e => {
+        const tr = table.insertRow();
+        tr.style.borderLeft = `3px solid ${EVENT_TYPE_COLORS[e.type]}`;
+        [e.type, e.time.toFixed(0), [e.id1, e.id2, e.id3, e.id4].filter(Number.isFinite).join(', '), num(e.m1), num(e.m2), num(e.period)].forEach(t => { tr.insertCell().textContent = t; });
+        tr.addEventListener('click', () => selectEvent(interactionEvents.indexOf(e)));
+        if (e !== selectedEvent) return;
+        tr.className = 'event-selected';
+        // Filtering and re-sorting leave the table where the user scrolled it; only a new selection is brought into view
+        if (e !== eventScrolledTo) tr.scrollIntoView({ block: 'nearest' });
     });
+    eventScrolledTo = selectedEvent;
 }
 
 init();
-Promise.all([
-    loadHistoryCsv('bh_history.csv', timeData),
-    loadHistoryCsv('ns_history.csv', nsData),
-    loadInteractionData()
-]).then(() => populateEventSelector()).catch(console.error);
\ No newline at end of file
+// Each ?data= parameter is one run; the first loads into the initial run and stays active
+const dataParams = new URLSearchParams(window.location.search).getAll('data');
+activeRun.name = dataParams[0] || '';
+resolveDatasetUrls(dataParams[0]).then(urls => loadDatasetFromUrls(urls))
+    .then(async () => {
+        for (const param of dataParams.slice(1)) await addRun(param, run => resolveDatasetUrls(param).then(urls => loadDatasetFromUrls(urls, run)).catch(e => { reportDatasetStatus([e.message], true); return false; }));
+        if (activeRun !== runs[0]) setActiveRun(runs[0]);
+    })
+    .then(() => applyViewState(viewStateFromHash())).catch(e => reportDatasetStatus([e.message], true));
\ No newline at end of file
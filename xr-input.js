@@ -0,0 +1,56 @@
+// Controller and gesture handling for the immersive view. Nothing here touches the page or the viewer's globals:
+// the session, controllers, camera rig, head camera and cluster root are passed in, so the viewer (or anything else
+// holding a session and controller Object3Ds) can drive them.
+import * as THREE from 'three';
+
+export const XR_RAY_LENGTH = 5;
+const XR_RAY_COLOR = 0xffffff, XR_SCALE_MIN = 0.05, XR_SCALE_MAX = 50, XR_STICK_DEADZONE = 0.1, XR_FLY_SPEED = 5;
+
+// Gives a controller its ray and input state; any Object3D dispatching the WebXR controller events can stand in for one
+export function bindXrController(c, onSelectStart) {
+    const ray = new THREE.Line(new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3(0, 0, -1)]), new THREE.LineBasicMaterial({ color: XR_RAY_COLOR }));
+    ray.scale.z = XR_RAY_LENGTH;
+    c.add(ray);
+    c.userData.ray = ray;
+    c.addEventListener('connected', e => { c.userData.inputSource = e.data; });
+    c.addEventListener('disconnected', () => { resetXrController(c); c.userData.inputSource = null; });
+    c.addEventListener('selectstart', () => { c.userData.selecting = true; onSelectStart(c); });
+    c.addEventListener('selectend', () => { c.userData.selecting = false; c.userData.scrubbing = false; });
+    c.addEventListener('squeezestart', () => { c.userData.squeezing = true; });
+    c.addEventListener('squeezeend', () => { c.userData.squeezing = false; });
+    return c;
+}
+
+export function resetXrController(c) {
+    Object.assign(c.userData, { selecting: false, scrubbing: false, squeezing: false });
+}
+
+// Points `raycaster` along the controller's -Z axis
+export function controllerRay(c, raycaster) {
+    const rot = new THREE.Matrix4().extractRotation(c.matrixWorld);
+    raycaster.ray.origin.setFromMatrixPosition(c.matrixWorld);
+    raycaster.ray.direction.set(0, 0, -1).applyMatrix4(rot);
+    return raycaster;
+}
+
+// Pushing a thumbstick forward flies the rig the way the head is looking
+export function flyRig(session, rig, head, dt) {
+    if (session) session.inputSources.forEach(src => {
+        const y = src.gamepad ? src.gamepad.axes[3] || 0 : 0;
+        if (Math.abs(y) > XR_STICK_DEADZONE) rig.position.addScaledVector(head.getWorldDirection(new THREE.Vector3()), -y * XR_FLY_SPEED * dt);
+    });
+}
+
+// One grip turns the cluster about its vertical axis by the angle the hand sweeps around the head;
+// two grips turn it with the line between the hands and scale it by the change in their separation.
+// `grab` is what the previous call returned (null when nothing was held); pass the result back in next frame.
+export function updateGrab(grab, controllers, head, root) {
+    const held = controllers.filter(c => c.userData.squeezing);
+    if (!held.length) return null;
+    const pts = held.map(c => new THREE.Vector3().setFromMatrixPosition(c.matrixWorld));
+    const v = held.length > 1 ? pts[1].sub(pts[0]) : pts[0].sub(head.getWorldPosition(new THREE.Vector3())), angle = Math.atan2(v.x, v.z);
+    if (!grab || grab.hands !== held.length) return { hands: held.length, angle, length: v.length(), rotation: root.rotation.y, scale: root.scale.x };
+    root.rotation.y = grab.rotation + angle - grab.angle;
+    if (held.length > 1 && grab.length > 0) root.scale.setScalar(THREE.MathUtils.clamp(grab.scale * v.length() / grab.length, XR_SCALE_MIN, XR_SCALE_MAX));
+    return grab;
+}